@@ -0,0 +1,76 @@
+// Benchmarks for dynamic encoders: create and load cost, and encode/decode throughput against the equivalent
+// native compact-encoding encoder. Run with `npm run bench`; pass a duration in milliseconds to run each case longer.
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {create, load, createFromSchema, createLoadCache} from "../index.js";
+
+const duration = Number(process.argv[2]) || 500;
+
+// Run `fn` repeatedly for `duration` milliseconds and report operations per second
+async function bench(name, fn) {
+    await fn();  // warm up
+    let ops = 0;
+    const started = performance.now();
+    while (performance.now() - started < duration) {
+        await fn();
+        ops++;
+    }
+    const elapsed = performance.now() - started;
+    return { name, ops, opsPerSecond: Math.round(ops / elapsed * 1000) };
+}
+
+// Synchronous cases are timed in batches so the loop overhead stays small
+function benchSync(name, fn, batch = 1000) {
+    return bench(name, () => {
+        for (let i = 0; i < batch; i++) fn();
+    }).then(result => ({ ...result, ops: result.ops * batch, opsPerSecond: result.opsPerSecond * batch }));
+}
+
+const schema = {
+    type: "struct",
+    fields: { id: "uint", name: "string", active: "bool", scores: { type: "array", item: "uint" } }
+};
+const native = {
+    preencode(state, m) {
+        cenc.uint.preencode(state, m.id);
+        cenc.string.preencode(state, m.name);
+        cenc.bool.preencode(state, m.active);
+        cenc.array(cenc.uint).preencode(state, m.scores);
+    },
+    encode(state, m) {
+        cenc.uint.encode(state, m.id);
+        cenc.string.encode(state, m.name);
+        cenc.bool.encode(state, m.active);
+        cenc.array(cenc.uint).encode(state, m.scores);
+    },
+    decode(state) {
+        return {
+            id: cenc.uint.decode(state),
+            name: cenc.string.decode(state),
+            active: cenc.bool.decode(state),
+            scores: cenc.array(cenc.uint).decode(state)
+        };
+    }
+};
+const value = { id: 42, name: "benchmark", active: true, scores: [1, 2, 3, 500, 70000] };
+
+const { uri, hash } = await createFromSchema("Message", schema);
+const dynamic = await load(uri, hash);
+const bytes = b4a.from(cenc.encode(native, value));
+const cache = createLoadCache();
+
+const results = [
+    await bench("create (schema)", () => createFromSchema("Message", schema)),
+    await bench("create (functions)", () => create("Message", native)),
+    await bench("load", () => load(uri, hash)),
+    await bench("load (cached)", () => load(uri, hash, {}, {}, { cache })),
+    await benchSync("encode (native cenc)", () => cenc.encode(native, value)),
+    await benchSync("encode (dynamic)", () => cenc.encode(dynamic, value)),
+    await benchSync("decode (native cenc)", () => cenc.decode(native, bytes)),
+    await benchSync("decode (dynamic)", () => cenc.decode(dynamic, bytes))
+];
+
+const width = Math.max(...results.map(result => result.name.length));
+for (const result of results) {
+    console.log(`${result.name.padEnd(width)}  ${result.opsPerSecond.toLocaleString("en-US").padStart(14)} ops/s`);
+}
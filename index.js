@@ -1,2 +1,22 @@
-export {load} from "./lib/importEncodingFromUri.js";
-export {create} from "./lib/generateEncodingUri.js";
\ No newline at end of file
+export {load, migrate} from "./lib/importEncodingFromUri.js";
+export {create} from "./lib/generateEncodingUri.js";
+export {createFromSchema} from "./lib/schema.js";
+export {struct, array, optional, enumeration} from "./lib/composite.js";
+export {createRegistry} from "./lib/registry.js";
+export {memoryStorage, fileStorage} from "./lib/storage.js";
+export {generateKeyPair, defaultSigner} from "./lib/signer.js";
+export {inspect} from "./lib/analyzer.js";
+export {tagged, decodeAny} from "./lib/tagged.js";
+export {createVersion, loadLineage} from "./lib/lineage.js";
+export {checkCompatibility} from "./lib/compatibility.js";
+export {arbitrary, createRandom} from "./lib/arbitrary.js";
+export {verify} from "./lib/verify.js";
+export {createBundle, loadBundle} from "./lib/bundle.js";
+export {encodeStream, decodeStream, loadStream} from "./lib/stream.js";
+export {createPeer} from "./lib/peer.js";
+export {readManifest} from "./lib/manifest.js";
+export {createLoadCache} from "./lib/cache.js";
+export {
+    DynamicEncoderError, HashMismatchError, ModuleSyntaxError, MissingDependencyError, UnknownDependencyError, InvalidDependencyError,
+    EncodingUnsupportedError, UntrustedModuleError, PolicyViolationError, RuntimeMismatchError, InvalidOptionError
+} from "./lib/errors.js";
@@ -0,0 +1,473 @@
+import {parse} from "acorn";
+import {decodeModule} from "./transport.js";
+import {InvalidOptionError, ModuleSyntaxError, PolicyViolationError} from "./errors.js";
+
+// ECMAScript built-ins are available in every realm and carry no ambient authority, so they are not reported
+const builtins = new Set([
+    "undefined", "NaN", "Infinity",
+    "Object", "Function", "Array", "String", "Number", "Boolean", "Symbol", "BigInt",
+    "Math", "JSON", "Date", "RegExp", "Reflect", "Proxy", "Promise", "Intl", "Atomics",
+    "Error", "TypeError", "RangeError", "SyntaxError", "ReferenceError", "EvalError", "URIError", "AggregateError",
+    "Map", "Set", "WeakMap", "WeakSet", "WeakRef", "FinalizationRegistry",
+    "ArrayBuffer", "SharedArrayBuffer", "DataView",
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array", "Uint32Array",
+    "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array",
+    "isNaN", "isFinite", "parseInt", "parseFloat",
+    "encodeURI", "decodeURI", "encodeURIComponent", "decodeURIComponent"
+]);
+
+// Built-ins that evaluate strings as code
+const dynamicCode = new Set(["eval", "Function"]);
+
+export const policies = ["allow", "warn", "deny"];
+
+// Collect the names bound by a declaration pattern such as `{ a, b: [c, ...d] = [] }`
+export function patternNames(pattern, names = []) {
+    switch (pattern.type) {
+        case "Identifier":
+            names.push(pattern.name);
+            break;
+        case "ObjectPattern":
+            for (const property of pattern.properties) {
+                patternNames(property.type === "RestElement" ? property.argument : property.value, names);
+            }
+            break;
+        case "ArrayPattern":
+            for (const element of pattern.elements) {
+                if (element) patternNames(element, names);
+            }
+            break;
+        case "RestElement":
+            patternNames(pattern.argument, names);
+            break;
+        case "AssignmentPattern":
+            patternNames(pattern.left, names);
+            break;
+    }
+    return names;
+}
+
+function isFunction(node) {
+    return node.type === "FunctionDeclaration" || node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression";
+}
+
+// `var` declarations and nested function declarations are hoisted to the enclosing function
+export function hoistedNames(body, names = []) {
+    const visit = node => {
+        if (!node || typeof node.type !== "string" || isFunction(node)) return;
+        if (node.type === "VariableDeclaration" && node.kind === "var") {
+            node.declarations.forEach(declaration => patternNames(declaration.id, names));
+        }
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (Array.isArray(value)) value.forEach(visit);
+            else if (value && typeof value.type === "string") visit(value);
+        }
+    };
+    visit(body);
+    return names;
+}
+
+// Names declared directly in a block or program body with `let`, `const`, `class` or `function`
+export function lexicalNames(statements) {
+    const names = [];
+    for (const statement of statements) {
+        const declaration = statement.type === "ExportDefaultDeclaration" || statement.type === "ExportNamedDeclaration"
+            ? statement.declaration
+            : statement;
+        if (!declaration) continue;
+        if (declaration.type === "VariableDeclaration" && declaration.kind !== "var") {
+            declaration.declarations.forEach(d => patternNames(d.id, names));
+        } else if ((declaration.type === "FunctionDeclaration" || declaration.type === "ClassDeclaration") && declaration.id) {
+            names.push(declaration.id.name);
+        }
+    }
+    return names;
+}
+
+// Walk the tree keeping a scope chain, and report every identifier that doesn't resolve to a declaration
+function freeReferences(program) {
+    const references = [];
+    const imports = [];
+
+    const declared = (scope, name) => {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(name)) return true;
+        }
+        return false;
+    };
+    const child = (parent, names) => ({ parent, names: new Set(names) });
+
+    function visitFunction(node, scope) {
+        const names = [...node.params.flatMap(param => patternNames(param))];
+        if (node.type !== "ArrowFunctionExpression") names.push("arguments");
+        if (node.type === "FunctionExpression" && node.id) names.push(node.id.name);
+
+        const functionScope = child(scope, names);
+        node.params.forEach(param => visitPattern(param, functionScope));
+
+        if (node.body.type === "BlockStatement") {
+            functionScope.names = new Set([...functionScope.names, ...hoistedNames(node.body), ...lexicalNames(node.body.body)]);
+            node.body.body.forEach(statement => visit(statement, functionScope));
+        } else {
+            visit(node.body, functionScope);
+        }
+    }
+
+    // Declaration patterns only reference identifiers through default values and computed keys,
+    // while assignment targets also reference the identifiers they assign to
+    function visitPattern(pattern, scope, assignment = false) {
+        switch (pattern.type) {
+            case "ObjectPattern":
+                for (const property of pattern.properties) {
+                    if (property.type === "RestElement") visitPattern(property.argument, scope, assignment);
+                    else {
+                        if (property.computed) visit(property.key, scope);
+                        visitPattern(property.value, scope, assignment);
+                    }
+                }
+                break;
+            case "ArrayPattern":
+                pattern.elements.forEach(element => element && visitPattern(element, scope, assignment));
+                break;
+            case "RestElement":
+                visitPattern(pattern.argument, scope, assignment);
+                break;
+            case "AssignmentPattern":
+                visitPattern(pattern.left, scope, assignment);
+                visit(pattern.right, scope);
+                break;
+            case "Identifier":
+                if (assignment) visit(pattern, scope);
+                break;
+            default:
+                // Member expressions can be assignment targets
+                visit(pattern, scope);
+        }
+    }
+
+    function visitChildren(node, scope) {
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (Array.isArray(value)) value.forEach(item => item && visit(item, scope));
+            else if (value && typeof value.type === "string") visit(value, scope);
+        }
+    }
+
+    function visit(node, scope) {
+        switch (node.type) {
+            case "Identifier":
+                if (!declared(scope, node.name)) references.push(node);
+                return;
+            case "FunctionDeclaration":
+            case "FunctionExpression":
+            case "ArrowFunctionExpression":
+                return visitFunction(node, scope);
+            case "ClassDeclaration":
+            case "ClassExpression": {
+                const classScope = node.type === "ClassExpression" && node.id ? child(scope, [node.id.name]) : scope;
+                if (node.superClass) visit(node.superClass, classScope);
+                return visit(node.body, classScope);
+            }
+            case "BlockStatement":
+            case "StaticBlock": {
+                const blockScope = child(scope, lexicalNames(node.body));
+                return node.body.forEach(statement => visit(statement, blockScope));
+            }
+            case "ForStatement":
+            case "ForInStatement":
+            case "ForOfStatement": {
+                const head = node.type === "ForStatement" ? node.init : node.left;
+                const loopScope = head && head.type === "VariableDeclaration" && head.kind !== "var"
+                    ? child(scope, head.declarations.flatMap(d => patternNames(d.id)))
+                    : scope;
+                return visitChildren(node, loopScope);
+            }
+            case "CatchClause": {
+                const catchScope = child(scope, node.param ? patternNames(node.param) : []);
+                if (node.param) visitPattern(node.param, catchScope);
+                return visit(node.body, catchScope);
+            }
+            case "VariableDeclarator":
+                visitPattern(node.id, scope);
+                if (node.init) visit(node.init, scope);
+                return;
+            case "AssignmentExpression":
+                visitPattern(node.left, scope, true);
+                return visit(node.right, scope);
+            case "MemberExpression":
+                visit(node.object, scope);
+                if (node.computed) visit(node.property, scope);
+                return;
+            case "Property":
+            case "PropertyDefinition":
+            case "MethodDefinition":
+                if (node.computed) visit(node.key, scope);
+                if (node.value) visit(node.value, scope);
+                return;
+            case "LabeledStatement":
+                return visit(node.body, scope);
+            case "BreakStatement":
+            case "ContinueStatement":
+            case "MetaProperty":
+                return;
+            case "ImportExpression":
+                imports.push(node);
+                return visitChildren(node, scope);
+            case "ExportSpecifier":
+                return visit(node.local, scope);
+            default:
+                return visitChildren(node, scope);
+        }
+    }
+
+    const programScope = { parent: null, names: new Set([...hoistedNames(program), ...lexicalNames(program.body)]) };
+    program.body.forEach(statement => visit(statement, programScope));
+
+    return { references, imports };
+}
+
+// Every function's `constructor` is a `Function` constructor, so `x.constructor.constructor("...")` evaluates strings
+// as code without naming `Function`. Accesses to a `constructor` property, written as `.constructor` or with a constant
+// key, are reported with the other dynamic code, and so are computed keys that could name it: any key that isn't a
+// constant or a number, such as `x[k]` or `x["con" + "structor"]`.
+function propertyAccesses(program) {
+    const constructors = [];
+    const computed = [];
+    const visit = (node, counters) => {
+        if (!node || typeof node.type !== "string") return;
+        if (node.type === "MemberExpression") {
+            const name = propertyName(node);
+            if (name === "constructor") constructors.push(node);
+            else if (name === undefined && node.computed && !isNumeric(node.property, counters)) computed.push(node);
+        }
+        // Loop counters that only ever hold numbers are safe keys inside their loop
+        if (node.type === "ForStatement") counters = new Set([...counters, ...loopCounters(node)]);
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (Array.isArray(value)) value.forEach(child => visit(child, counters));
+            else if (value && typeof value.type === "string") visit(value, counters);
+        }
+    };
+    visit(program, new Set());
+    return { constructors, computed };
+}
+
+const numericOperators = new Set(["-", "*", "/", "%", "**", "|", "&", "^", "<<", ">>", ">>>"]);
+
+// Whether an expression always evaluates to a number (or a BigInt), so it can't be a property name like `constructor`
+function isNumeric(node, counters = new Set()) {
+    switch (node.type) {
+        case "Literal":
+            return typeof node.value === "number" || typeof node.value === "bigint";
+        case "Identifier":
+            return counters.has(node.name);
+        case "UpdateExpression":
+            return true;
+        case "UnaryExpression":
+            return node.operator === "-" || node.operator === "+" || node.operator === "~";
+        case "BinaryExpression":
+            return numericOperators.has(node.operator) || (node.operator === "+" && isNumeric(node.left, counters) && isNumeric(node.right, counters));
+        case "AssignmentExpression":
+            return numericOperators.has(node.operator.slice(0, -1)) || (["=", "+="].includes(node.operator) && isNumeric(node.right, counters) && (node.operator === "=" || isNumeric(node.left, counters)));
+        case "ConditionalExpression":
+            return isNumeric(node.consequent, counters) && isNumeric(node.alternate, counters);
+        case "SequenceExpression":
+            return isNumeric(node.expressions[node.expressions.length - 1], counters);
+        default:
+            return false;
+    }
+}
+
+// The `let` counters of a `for` loop that start as numbers, are only changed by numeric updates
+// and are not declared again inside the loop
+function loopCounters(loop) {
+    if (!loop.init || loop.init.type !== "VariableDeclaration" || loop.init.kind !== "let") return [];
+    const candidates = loop.init.declarations
+        .filter(d => d.id.type === "Identifier" && d.init && isNumeric(d.init))
+        .map(d => d.id.name);
+    return candidates.filter(name => ![loop.test, loop.update, loop.body].some(node => rebinds(node, name)));
+}
+
+// Whether `name` is declared or given a value that might not be a number anywhere under `node`
+function rebinds(node, name) {
+    if (!node || typeof node.type !== "string") return false;
+    if (node.type === "AssignmentExpression" && patternNames(node.left).includes(name) && !isNumeric(node, new Set([name]))) return true;
+    if (node.type === "VariableDeclarator" && patternNames(node.id).includes(name)) return true;
+    if (isFunction(node) && (node.params.some(param => patternNames(param).includes(name)) || (node.id && node.id.name === name))) return true;
+    if (node.type === "CatchClause" && node.param && patternNames(node.param).includes(name)) return true;
+    if ((node.type === "ForInStatement" || node.type === "ForOfStatement") && node.left.type !== "VariableDeclaration" && patternNames(node.left).includes(name)) return true;
+    return Object.keys(node).some(key => {
+        const value = node[key];
+        if (Array.isArray(value)) return value.some(child => rebinds(child, name));
+        return value && typeof value.type === "string" && rebinds(value, name);
+    });
+}
+
+function propertyName(member) {
+    const { property } = member;
+    if (!member.computed) return property.type === "Identifier" ? property.name : undefined;
+    if (property.type === "Literal") return String(property.value);
+    if (property.type === "TemplateLiteral" && property.expressions.length === 0) return property.quasis[0].value.cooked;
+    return undefined;
+}
+
+// Find the object literal bound to `encoder` in the module function
+function encoderObject(factory) {
+    for (const statement of factory ? factory.body.body : []) {
+        if (statement.type !== "VariableDeclaration") continue;
+        const declaration = statement.declarations.find(d => d.id.type === "Identifier" && d.id.name === "encoder");
+        if (declaration && declaration.init && declaration.init.type === "ObjectExpression") return declaration.init;
+    }
+    return null;
+}
+
+// Read a literal or JSON-valued property of the generated encoder from the source
+function readProperty(moduleCode, factory, key) {
+    const object = encoderObject(factory);
+    const entry = object && object.properties.find(p => p.type === "Property" && !p.computed && p.key.name === key);
+    if (!entry) return undefined;
+    if (entry.value.type === "Literal") return entry.value.value;
+    if (entry.value.type === "ObjectExpression" || entry.value.type === "ArrayExpression") {
+        return JSON.parse(moduleCode.slice(entry.value.start, entry.value.end));
+    }
+    return undefined;
+}
+
+// Parse module source, reporting syntax errors with their line and (1-based) column in the module
+export function parseModule(moduleCode) {
+    let program;
+    try {
+        program = parse(moduleCode, { ecmaVersion: "latest", sourceType: "module", locations: true });
+    } catch (error) {
+        if (!(error instanceof SyntaxError) || !error.loc) throw error;
+        const { line, column } = error.loc;
+        const reason = error.message.replace(/\s*\(\d+:\d+\)$/, "");
+        throw new ModuleSyntaxError(`Module source is not valid JavaScript: ${reason} at line ${line}, column ${column + 1}.`, { line, column: column + 1 }, { cause: error });
+    }
+    const exported = program.body.find(statement => statement.type === "ExportDefaultDeclaration");
+    const factory = exported && isFunction(exported.declaration) ? exported.declaration : null;
+    return { program, factory };
+}
+
+// Read the parameter list, the names of the embedded values and a data property of a generated module without running it
+export function readModule(moduleCode, keys = []) {
+    const { factory } = parseModule(moduleCode);
+    const result = {
+        parameters: factory ? factory.params.flatMap(param => patternNames(param)) : [],
+        values: factory && factory.body.type === "BlockStatement" ? lexicalNames(factory.body.body).filter(name => name !== "encoder") : []
+    };
+    for (const key of keys) {
+        result[key] = readProperty(moduleCode, factory, key);
+    }
+    return result;
+}
+
+// The properties of the injected `cenc` and `b4a` a module reads, such as `cenc.uint` or `b4a.from`
+export function runtimeReferences(moduleCode) {
+    const apis = { cenc: new Set(), b4a: new Set() };
+    const visit = node => {
+        if (!node || typeof node.type !== "string") return;
+        if (node.type === "MemberExpression" && !node.computed && node.object.type === "Identifier" && apis[node.object.name]) {
+            apis[node.object.name].add(node.property.name);
+        }
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (Array.isArray(value)) value.forEach(visit);
+            else if (value && typeof value.type === "string") visit(value);
+        }
+    };
+    visit(parseModule(moduleCode).program);
+    return { cenc: [...apis.cenc].sort(), b4a: [...apis.b4a].sort() };
+}
+
+// Find the function-valued properties of the generated encoder, with the source range of each function
+export function readFunctionEntries(moduleCode) {
+    const object = encoderObject(parseModule(moduleCode).factory);
+    return (object ? object.properties : [])
+        .filter(p => p.type === "Property" && !p.computed && isFunction(p.value))
+        .map(p => ({ name: p.key.type === "Literal" ? String(p.key.value) : p.key.name, start: p.value.start, end: p.value.end }));
+}
+
+// Find the members of a bundle module, each an immediately called function building one encoder,
+// returning their names and the source of those functions. Returns null for modules that aren't bundles.
+export function readBundleMembers(moduleCode) {
+    const object = encoderObject(parseModule(moduleCode).factory);
+    const entry = object && object.properties.find(p => p.type === "Property" && !p.computed && p.key.name === "members");
+    if (!entry || entry.value.type !== "ObjectExpression") return null;
+
+    return entry.value.properties.map(property => {
+        const call = property.value;
+        if (property.type !== "Property" || call.type !== "CallExpression" || call.callee.type !== "FunctionExpression") {
+            throw new Error("Malformed bundle member.");
+        }
+        return {
+            name: property.key.type === "Literal" ? String(property.key.value) : property.key.name,
+            source: moduleCode.slice(call.callee.start, call.callee.end)
+        };
+    });
+}
+
+// Analyze generated module source without running it, reporting what the encoder code touches
+export function analyzeModule(moduleCode) {
+    const { program, factory } = parseModule(moduleCode);
+    const parameters = factory ? factory.params.flatMap(param => patternNames(param)) : [];
+
+    const { references, imports } = freeReferences(program);
+    const findings = [];
+    const at = node => ({ line: node.loc.start.line, column: node.loc.start.column });
+
+    for (const node of references) {
+        if (node.name === "Buffer") {
+            findings.push({ type: "buffer", name: node.name, ...at(node), message: "Buffer is not injected and is unavailable in browsers; use b4a instead." });
+        } else if (node.name === "Reflect") {
+            findings.push({ type: "dynamic-code", name: node.name, ...at(node), message: "Reflect reads and calls properties such as constructor by name." });
+        } else if (dynamicCode.has(node.name)) {
+            findings.push({ type: "dynamic-code", name: node.name, ...at(node), message: `${node.name} evaluates strings as code.` });
+        } else if (!builtins.has(node.name)) {
+            findings.push({ type: "global", name: node.name, ...at(node), message: `${node.name} is neither cenc, b4a nor a dependency.` });
+        }
+    }
+    for (const node of imports) {
+        findings.push({ type: "dynamic-code", name: "import", ...at(node), message: "import() loads code at runtime." });
+    }
+    const { constructors, computed } = propertyAccesses(program);
+    for (const node of constructors) {
+        findings.push({ type: "dynamic-code", name: "constructor", ...at(node.property), message: "constructor reaches the Function constructor, which evaluates strings as code." });
+    }
+    for (const node of computed) {
+        findings.push({ type: "dynamic-code", name: "computed", ...at(node.property), message: "A computed key that isn't a constant or a number can name constructor, which evaluates strings as code." });
+    }
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    const property = key => readProperty(moduleCode, factory, key);
+
+    return {
+        name: property("name"),
+        hash: property("hash"),
+        dependencies: parameters.slice(2),
+        globals: [...new Set(findings.filter(finding => finding.type === "global").map(finding => finding.name))],
+        findings,
+        manifest: property("manifest") || null
+    };
+}
+
+// Report what an encoder module touches without loading it
+export function inspect(module) {
+    return analyzeModule(decodeModule(module));
+}
+
+// Act on a report according to a policy of "allow", "warn" or "deny". Warnings go to `onWarning` only; library code
+// doesn't write to the console.
+export function applyPolicy(report, { policy = "allow", onWarning = () => {} } = {}) {
+    if (!policies.includes(policy)) {
+        throw new InvalidOptionError(`Unknown policy "${policy}", expected one of ${policies.join(", ")}.`, { option: "policy" });
+    }
+    if (policy === "allow" || report.findings.length === 0) return;
+
+    const summary = report.findings.map(finding => `${finding.line}:${finding.column} ${finding.message}`).join("\n");
+    if (policy === "deny") {
+        throw new PolicyViolationError(`Encoder policy violation:\n${summary}`, { report });
+    }
+    onWarning(`Encoder policy warning:\n${summary}`, report);
+}
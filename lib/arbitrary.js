@@ -0,0 +1,133 @@
+// Sample value generation from schemas, driven by a seedable random source so failures can be reproduced
+import b4a from "b4a";
+import {schemaToDescription} from "./schema.js";
+
+// mulberry32, small and good enough for test data
+export function createRandom(seed = Date.now()) {
+    let a = seed >>> 0;
+    const random = () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+    random.pick = list => list[random.integer(0, list.length - 1)];
+    return random;
+}
+
+// Favour small numbers and edges, where encoding bugs tend to hide
+function unsigned(random, max) {
+    const edges = [0, 1, 0xfc, 0xfd, 0xffff, 0x10000, 0xffffffff, 0x100000000];
+    if (random() < 0.3) return random.pick(edges.filter(edge => edge <= max));
+    return random.integer(0, Math.min(max, random() < 0.7 ? 0xff : Number.MAX_SAFE_INTEGER));
+}
+
+function signed(random, bits) {
+    const max = 2 ** (bits - 1) - 1;
+    const value = unsigned(random, max);
+    return random() < 0.5 ? 0 - value : value;  // never -0, which encodes as 0
+}
+
+function bytes(random, length = random.integer(0, 16)) {
+    const result = b4a.alloc(length);
+    for (let i = 0; i < length; i++) result[i] = random.integer(0, 255);
+    return result;
+}
+
+function text(random, alphabet) {
+    let result = "";
+    const length = random.integer(0, 12);
+    for (let i = 0; i < length; i++) result += random.pick(alphabet);
+    return result;
+}
+
+const unicode = [..."abcxyzABC019 _-é漢字👋"];
+const ascii = [..."abcxyzABC019 _-~"];
+
+function json(random, depth = 0) {
+    const kind = random.integer(0, depth > 2 ? 3 : 5);
+    switch (kind) {
+        case 0: return null;
+        case 1: return random() < 0.5;
+        case 2: return signed(random, 32);
+        case 3: return text(random, unicode);
+        case 4: return Array.from({ length: random.integer(0, 3) }, () => json(random, depth + 1));
+        default: return Object.fromEntries(Array.from({ length: random.integer(0, 3) }, () => [text(random, ascii), json(random, depth + 1)]));
+    }
+}
+
+const primitives = {
+    uint: random => unsigned(random, Number.MAX_SAFE_INTEGER),
+    uint8: random => unsigned(random, 0xff),
+    uint16: random => unsigned(random, 0xffff),
+    uint24: random => unsigned(random, 0xffffff),
+    uint32: random => unsigned(random, 0xffffffff),
+    uint40: random => unsigned(random, 2 ** 40 - 1),
+    uint48: random => unsigned(random, 2 ** 48 - 1),
+    uint56: random => unsigned(random, Number.MAX_SAFE_INTEGER),
+    uint64: random => unsigned(random, Number.MAX_SAFE_INTEGER),
+    int: random => signed(random, 53),
+    int8: random => signed(random, 8),
+    int16: random => signed(random, 16),
+    int24: random => signed(random, 24),
+    int32: random => signed(random, 32),
+    int40: random => signed(random, 40),
+    int48: random => signed(random, 48),
+    int56: random => signed(random, 53),
+    int64: random => signed(random, 53),
+    biguint64: random => BigInt(unsigned(random, Number.MAX_SAFE_INTEGER)),
+    bigint64: random => BigInt(signed(random, 53)),
+    biguint: random => BigInt(unsigned(random, Number.MAX_SAFE_INTEGER)),
+    bigint: random => BigInt(signed(random, 53)),
+    float32: random => Math.fround(signed(random, 16) / 8),
+    float64: random => random() < 0.2 ? random.pick([0, -1.5, Number.MAX_VALUE, Number.MIN_VALUE]) : (random() - 0.5) * 1e6,
+    string: random => text(random, unicode),
+    utf8: random => text(random, unicode),
+    ascii: random => text(random, ascii),
+    hex: random => text(random, [..."0123456789abcdef"]).replace(/^(.(..)*)$/, "$10"),
+    bool: random => random() < 0.5,
+    // Empty buffers decode as null
+    buffer: random => random() < 0.1 ? null : bytes(random, random.integer(1, 16)),
+    binary: random => random() < 0.1 ? null : bytes(random, random.integer(1, 16)),
+    raw: random => bytes(random),
+    uint8array: random => bytes(random),
+    fixed32: random => bytes(random, 32),
+    fixed64: random => bytes(random, 64),
+    json: random => json(random),
+    any: random => json(random),
+    none: () => null
+};
+
+// Build a generator `(random) => value` for a schema, as accepted by `createFromSchema`
+export function arbitrary(schema) {
+    return generatorFor(schemaToDescription(schema));
+}
+
+function generatorFor(node) {
+    if (typeof node === "string") {
+        const primitive = primitives[node];
+        if (!primitive) {
+            throw new Error(`Cannot generate sample values for the "${node}" primitive.`);
+        }
+        return primitive;
+    }
+
+    switch (node.type) {
+        case "struct": {
+            const fields = Object.keys(node.fields).map(key => [key, generatorFor(node.fields[key])]);
+            return random => Object.fromEntries(fields.map(([key, generate]) => [key, generate(random)]));
+        }
+        case "array": {
+            const item = generatorFor(node.item);
+            return random => Array.from({ length: random.integer(0, 5) }, () => item(random));
+        }
+        case "optional": {
+            const item = generatorFor(node.item);
+            return random => random() < 0.3 ? null : item(random);
+        }
+        case "enum":
+            return random => random.pick(node.values);
+    }
+}
@@ -0,0 +1,95 @@
+// Bundles: many encoders in one module with one hash. Shared dependencies are declared once for the whole bundle,
+// and each member is built by its own function, hashed on its own so members can be pinned individually.
+import cenc from "compact-encoding";
+import {checkCaptured, moduleTemplate, packageModule} from "./generateEncodingUri.js";
+import {generateFunctionsString} from "./generateFunctionsString.js";
+import {compileComposite, isComposite} from "./composite.js";
+import {embedModuleHash, generateModuleHash, readEmbeddedHash} from "./hasher.js";
+import {instantiate} from "./importEncodingFromUri.js";
+import {readBundleMembers} from "./analyzer.js";
+import {HashMismatchError} from "./errors.js";
+
+// A member function has the same shape as a module body, so its hash is embedded and checked the same way
+function memberSource(name, encoder) {
+    const compiled = isComposite(encoder) ? compileComposite(encoder) : encoder;
+    const properties = [generateFunctionsString(compiled), `name: ${JSON.stringify(name)}`, `hash: ""`].filter(Boolean);
+    return `function () {
+    const encoder = {
+        ${properties.join(",\n")}
+    };
+    return encoder;
+}`;
+}
+
+// Create one module exporting every encoder in `encoders`, keyed by name
+async function createBundle(encoders, dependencies = {}, hasher, options = {}) {
+    const names = Object.keys(encoders || {});
+    if (names.length === 0) {
+        throw new Error("A bundle needs at least one encoder.");
+    }
+
+    const members = {};
+    const entries = [];
+    for (const name of names) {
+        const canonical = memberSource(name, encoders[name]);
+        members[name] = await generateModuleHash(canonical, hasher);
+        entries.push(`${JSON.stringify(name)}: (${embedModuleHash(canonical, members[name])})()`);
+    }
+
+    // Function dependencies are serialized once, on the bundle, rather than on every member
+    const shared = generateFunctionsString({}, dependencies);
+    const nameEntry = options.name ? `name: ${JSON.stringify(options.name)}` : '';
+    const canonicalCode = moduleTemplate([shared, `members: {\n${entries.join(",\n")}\n}`], nameEntry, dependencies, options);
+    if (names.some(name => isComposite(encoders[name]))) checkCaptured(canonicalCode);
+
+    return { ...await packageModule(canonicalCode, hasher, options), members };
+}
+
+// Load a bundle, verifying its hash and every member's hash before any code runs. `options.members` picks members
+// by name, as a list or as an object of the member hashes the caller expects.
+async function loadBundle(module, expectedHash, hasherOrDeps, dependencies = {}, options = {}) {
+    const hashes = {};
+    let picked;
+
+    const checkMembers = async (moduleCode, hasher) => {
+        const members = readBundleMembers(moduleCode);
+        if (!members) {
+            throw new Error("Module is not an encoder bundle.");
+        }
+
+        for (const { name, source } of members) {
+            const hash = await generateModuleHash(source, hasher);
+            if (embedModuleHash(source, hash) !== source) {
+                throw new HashMismatchError(`Bundle member "${name}" failed its integrity check.`, { expected: readEmbeddedHash(source), computed: hash });
+            }
+            hashes[name] = hash;
+        }
+
+        const expected = options.members;
+        picked = !expected ? Object.keys(hashes) : Array.isArray(expected) ? expected : Object.keys(expected);
+        for (const name of picked) {
+            if (!Object.hasOwn(hashes, name)) {
+                throw new Error(`Bundle has no member "${name}".`);
+            }
+            if (expected && !Array.isArray(expected) && expected[name] !== hashes[name]) {
+                throw new HashMismatchError(`Bundle member "${name}" does not match the expected hash.`, { expected: expected[name], computed: hashes[name] });
+            }
+        }
+    };
+
+    const bundle = await instantiate(module, expectedHash, hasherOrDeps, dependencies, options, checkMembers);
+
+    const encoders = {};
+    for (const name of picked) {
+        encoders[name] = cenc.from(bundle.members[name]);
+    }
+
+    return {
+        name: bundle.name,
+        hash: bundle.hash,
+        encoders,
+        hashes: Object.fromEntries(picked.map(name => [name, hashes[name]]))
+    };
+}
+
+export {createBundle, loadBundle};
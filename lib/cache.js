@@ -0,0 +1,86 @@
+// Load caches: loaded encoders kept by module hash, the identity of the dependencies and runtime they were loaded
+// with, and the options that decide whether a module may load. A hit skips decoding, hashing and importing.
+const identities = new WeakMap();
+let nextIdentity = 0;
+
+// Objects and functions are identified by reference, other values by value
+function identity(value) {
+    if ((typeof value !== "object" && typeof value !== "function") || value === null) {
+        return `${typeof value}:${String(value)}`;
+    }
+    if (!identities.has(value)) identities.set(value, `#${nextIdentity++}`);
+    return identities.get(value);
+}
+
+// Everything that changes which encoder a load produces, or whether the load is allowed, is part of the key
+export function cacheKey(expectedHash, hasher, dependencies = {}, options = {}) {
+    const runtime = options.runtime || {};
+    return JSON.stringify([
+        expectedHash,
+        identity(hasher),
+        Object.keys(dependencies).sort().map(key => [key, identity(dependencies[key])]),
+        [identity(runtime.cenc), identity(runtime.b4a), runtime.versions || null],
+        !!options.sandbox,
+        !!options.legacy,
+        options.policy || "allow",
+        options.trustedKeys || null,
+        options.signature || null,
+        options.publicKey || null,
+        identity(options.signer),
+        options.hashTree ? options.hashTree.root : null,
+        // Replacements are local functions, matched by identity like dependencies
+        Object.keys(options.replaceable || {}).sort().map(leaf => [leaf, identity(options.replaceable[leaf])]),
+        !!options.sharedDependencies
+    ]);
+}
+
+// An LRU cache of pending and loaded encoders. Pass it to `load` as `options.cache`.
+function createLoadCache({ max = 100 } = {}) {
+    const entries = new Map();  // key -> { hash, promise }, least recently used first
+    const stats = { hits: 0, misses: 0, evictions: 0 };
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            stats.misses++;
+            return undefined;
+        }
+        stats.hits++;
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.promise;
+    }
+
+    function set(key, hash, promise) {
+        entries.set(key, { hash, promise });
+        // Failed loads are dropped so they can be retried
+        promise.catch(() => {
+            if (entries.get(key)?.promise === promise) entries.delete(key);
+        });
+        for (const oldest of entries.keys()) {
+            if (entries.size <= max) break;
+            entries.delete(oldest);
+            stats.evictions++;
+        }
+    }
+
+    // Drop every cached load of a module hash
+    function invalidate(hash) {
+        for (const [key, entry] of entries) {
+            if (entry.hash === hash) entries.delete(key);
+        }
+    }
+
+    return {
+        get,
+        set,
+        invalidate,
+        clear: () => entries.clear(),
+        get size() {
+            return entries.size;
+        },
+        stats
+    };
+}
+
+export {createLoadCache};
@@ -0,0 +1,283 @@
+// Canonical function source: each function is parsed, normalized and printed back, so whitespace, comments, quote
+// style, the names of parameters and local bindings, and whether it was written as a method, a function expression
+// or an arrow don't affect the emitted module or its hash, while any change to what the code does still does.
+// Minified and unminified builds of the same function hash the same.
+import {parse} from "acorn";
+import {generate} from "astring";
+import {hoistedNames, lexicalNames, patternNames} from "./analyzer.js";
+
+const parseOptions = { ecmaVersion: "latest", sourceType: "module" };
+
+// Numbers and strings print from their values, so `'a'` and `"a"`, or `0x10` and `16`, come out the same
+function dropRawLiterals(node) {
+    if (!node || typeof node.type !== "string") return;
+    if (node.type === "Literal" && (typeof node.value === "string" || typeof node.value === "number")) {
+        delete node.raw;
+    }
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (Array.isArray(value)) value.forEach(dropRawLiterals);
+        else if (value && typeof value.type === "string") dropRawLiterals(value);
+    }
+}
+
+function isFunction(node) {
+    return node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression";
+}
+
+// Parse function source into a function expression node and the kind of function it was written as: "function",
+// or a property kind ("method", "get" or "set"). Function declarations, expressions and arrows parse as an expression;
+// method syntax (`name() {}`, `async name() {}`, `*name() {}`, `get name() {}`, `["name"]() {}`) parses as the only
+// member of an object literal.
+function parseFunction(source) {
+    const attempts = [`(${source})`, `({${source}})`];
+    for (const attempt of attempts) {
+        let expression;
+        try {
+            expression = parse(attempt, parseOptions).body[0].expression;
+        } catch {
+            continue;
+        }
+        if (isFunction(expression)) return { node: expression, kind: "function" };
+        if (expression.type === "ObjectExpression" && expression.properties.length === 1) {
+            const property = expression.properties[0];
+            // A method becomes an anonymous function expression: methods don't bind their own name
+            if (property.type === "Property" && property.value.type === "FunctionExpression" && (property.method || property.kind !== "init")) {
+                return { node: property.value, kind: property.method ? "method" : property.kind };
+            }
+        }
+    }
+    return null;
+}
+
+// Whether code in an arrow function uses what it takes from its enclosing function, looking into nested arrows
+// but not into other functions, which bind their own
+function usesEnclosingFunction(node) {
+    if (!node || typeof node.type !== "string") return false;
+    if (node.type === "ThisExpression" || node.type === "Super" || node.type === "MetaProperty") return true;
+    if (node.type === "Identifier" && node.name === "arguments") return true;
+    if (node.type === "FunctionExpression" || node.type === "FunctionDeclaration") return false;
+    return Object.keys(node).some(key => {
+        const value = node[key];
+        return Array.isArray(value) ? value.some(usesEnclosingFunction) : value && typeof value.type === "string" && usesEnclosingFunction(value);
+    });
+}
+
+// Whether a method's code uses `super`, looking into arrows but not into other functions, which have their own
+function usesSuper(node) {
+    if (!node || typeof node.type !== "string") return false;
+    if (node.type === "Super") return true;
+    if (node.type === "FunctionExpression" || node.type === "FunctionDeclaration") return false;
+    return Object.keys(node).some(key => {
+        const value = node[key];
+        return Array.isArray(value) ? value.some(usesSuper) : value && typeof value.type === "string" && usesSuper(value);
+    });
+}
+
+// Arrows that don't use `this`, `arguments`, `super` or `new.target` behave the same as function expressions when
+// called, so they are printed as one
+function normalizeForm(node) {
+    if (node.type !== "ArrowFunctionExpression" || node.params.some(usesEnclosingFunction) || usesEnclosingFunction(node.body)) {
+        return node;
+    }
+    const body = node.body.type === "BlockStatement" ? node.body : { type: "BlockStatement", body: [{ type: "ReturnStatement", argument: node.body }] };
+    return { type: "FunctionExpression", id: null, params: node.params, body, async: node.async, generator: false, expression: false };
+}
+
+// Rename parameters and local bindings to `$0`, `$1`, ... in the order they are declared, skipping names the function
+// reads from outside. Names from outside, property names and labels are kept. The function's own name is dropped
+// when nothing refers to it, since methods and anonymous functions have none.
+function renameBindings(root) {
+    const bindings = [];
+    const uses = [];
+
+    const declare = (scope, name) => {
+        if (scope.names.has(name)) return;
+        const binding = { name, uses: 0 };
+        bindings.push(binding);
+        scope.names.set(name, binding);
+    };
+    const child = (parent, names) => {
+        const scope = { parent, names: new Map() };
+        names.forEach(name => declare(scope, name));
+        return scope;
+    };
+    const use = (node, scope) => {
+        let binding = null;
+        for (let current = scope; current && !binding; current = current.parent) {
+            binding = current.names.get(node.name) || null;
+        }
+        if (binding) binding.uses++;
+        uses.push({ node, binding });
+    };
+    // `arguments` is bound by every function, but never renamed
+    const implicit = { name: "arguments", fixed: true, uses: 0 };
+
+    // Shorthand properties name a key and a binding at once, so they are written out in full
+    function expandShorthand(property) {
+        if (!property.shorthand) return;
+        property.shorthand = false;
+        property.key = { ...property.key };
+    }
+
+    function visitFunction(node, scope) {
+        const nameScope = node.type === "FunctionExpression" && node.id ? child(scope, [node.id.name]) : scope;
+        if (nameScope !== scope) use(node.id, nameScope);
+
+        const body = node.body.type === "BlockStatement" ? node.body.body : [];
+        const functionScope = child(nameScope, [
+            ...node.params.flatMap(param => patternNames(param)),
+            ...hoistedNames(node.body),
+            ...lexicalNames(body)
+        ]);
+        if (node.type !== "ArrowFunctionExpression" && !functionScope.names.has("arguments")) {
+            functionScope.names.set("arguments", implicit);
+        }
+
+        node.params.forEach(param => visitPattern(param, functionScope));
+        if (node.body.type === "BlockStatement") body.forEach(statement => visit(statement, functionScope));
+        else visit(node.body, functionScope);
+    }
+
+    function visitPattern(pattern, scope) {
+        switch (pattern.type) {
+            case "Identifier":
+                return use(pattern, scope);
+            case "ObjectPattern":
+                for (const property of pattern.properties) {
+                    if (property.type === "RestElement") {
+                        visitPattern(property.argument, scope);
+                        continue;
+                    }
+                    expandShorthand(property);
+                    if (property.computed) visit(property.key, scope);
+                    visitPattern(property.value, scope);
+                }
+                return;
+            case "ArrayPattern":
+                return pattern.elements.forEach(element => element && visitPattern(element, scope));
+            case "RestElement":
+                return visitPattern(pattern.argument, scope);
+            case "AssignmentPattern":
+                visitPattern(pattern.left, scope);
+                return visit(pattern.right, scope);
+            default:
+                // Member expressions can be assignment targets
+                return visit(pattern, scope);
+        }
+    }
+
+    function visitChildren(node, scope) {
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (Array.isArray(value)) value.forEach(item => item && visit(item, scope));
+            else if (value && typeof value.type === "string") visit(value, scope);
+        }
+    }
+
+    function visit(node, scope) {
+        switch (node.type) {
+            case "Identifier":
+                return use(node, scope);
+            case "FunctionDeclaration":
+                use(node.id, scope);
+                return visitFunction(node, scope);
+            case "FunctionExpression":
+            case "ArrowFunctionExpression":
+                return visitFunction(node, scope);
+            case "ClassDeclaration":
+            case "ClassExpression": {
+                const classScope = node.type === "ClassExpression" && node.id ? child(scope, [node.id.name]) : scope;
+                if (node.id) use(node.id, classScope);
+                if (node.superClass) visit(node.superClass, classScope);
+                return visit(node.body, classScope);
+            }
+            case "BlockStatement":
+            case "StaticBlock": {
+                const blockScope = child(scope, lexicalNames(node.body));
+                return node.body.forEach(statement => visit(statement, blockScope));
+            }
+            case "ForStatement":
+            case "ForInStatement":
+            case "ForOfStatement": {
+                const head = node.type === "ForStatement" ? node.init : node.left;
+                const loopScope = head && head.type === "VariableDeclaration" && head.kind !== "var"
+                    ? child(scope, head.declarations.flatMap(d => patternNames(d.id)))
+                    : scope;
+                return visitChildren(node, loopScope);
+            }
+            case "CatchClause": {
+                const catchScope = child(scope, node.param ? patternNames(node.param) : []);
+                if (node.param) visitPattern(node.param, catchScope);
+                return visit(node.body, catchScope);
+            }
+            case "VariableDeclarator":
+                visitPattern(node.id, scope);
+                if (node.init) visit(node.init, scope);
+                return;
+            case "AssignmentExpression":
+                visitPattern(node.left, scope);
+                return visit(node.right, scope);
+            case "MemberExpression":
+                visit(node.object, scope);
+                if (node.computed) visit(node.property, scope);
+                return;
+            case "Property":
+                expandShorthand(node);
+                if (node.computed) visit(node.key, scope);
+                return visit(node.value, scope);
+            case "PropertyDefinition":
+            case "MethodDefinition":
+                if (node.computed) visit(node.key, scope);
+                if (node.value) visit(node.value, scope);
+                return;
+            case "LabeledStatement":
+                return visit(node.body, scope);
+            case "BreakStatement":
+            case "ContinueStatement":
+            case "MetaProperty":
+                return;
+            default:
+                return visitChildren(node, scope);
+        }
+    }
+
+    visitFunction(root, null);
+
+    // Nothing refers to the function by name but the name itself
+    if (root.id && bindings[0].uses === 1) {
+        bindings[0].dropped = true;
+        root.id = null;
+    }
+
+    const outside = new Set(uses.filter(({ binding }) => !binding).map(({ node }) => node.name));
+    let next = 0;
+    for (const binding of bindings) {
+        if (binding.dropped) continue;
+        do {
+            binding.canonical = `$${next++}`;
+        } while (outside.has(binding.canonical));
+    }
+    for (const { node, binding } of uses) {
+        if (binding && !binding.fixed && !binding.dropped) node.name = binding.canonical;
+    }
+}
+
+// The canonical source of a function, or of function source given as a string
+export function canonicalFunction(fnName, fn) {
+    const parsed = parseFunction(fn.toString());
+    if (!parsed) {
+        throw new Error(`Cannot serialize "${fnName}": its source is not a parseable function, such as a native or bound function.`);
+    }
+    // Accessors and methods using `super` only work as part of the object they were written in
+    if (parsed.kind === "get" || parsed.kind === "set") {
+        throw new Error(`Cannot serialize "${fnName}": it is a ${parsed.kind === "get" ? "getter" : "setter"}, which would become a plain function; use a method or a value instead.`);
+    }
+    if (parsed.kind === "method" && (parsed.node.params.some(usesSuper) || usesSuper(parsed.node.body))) {
+        throw new Error(`Cannot serialize "${fnName}": it is a method using super, which has no meaning outside the object it was written in.`);
+    }
+    const node = normalizeForm(parsed.node);
+    renameBindings(node);
+    dropRawLiterals(node);
+    return generate(node, { indent: "    " });
+}
@@ -0,0 +1,195 @@
+// Command-line interface: `dynamic-encoder <command> [options]`. Streams are injected so commands can be run in tests.
+import {parseArgs} from "node:util";
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {create} from "./generateEncodingUri.js";
+import {createFromSchema} from "./schema.js";
+import {load} from "./importEncodingFromUri.js";
+import {analyzeModule} from "./analyzer.js";
+import {decodeModule, readBundle} from "./transport.js";
+import {generateModuleHash} from "./hasher.js";
+import {DynamicEncoderError} from "./errors.js";
+
+const usage = `Usage: dynamic-encoder <command> [options]
+
+Commands:
+  create <file>              Create a module from a JS file exporting an encoder (default export,
+                             \`encoder\` or \`schema\`), and optionally \`dependencies\` and \`name\`
+  inspect <module>           Print a module's name, hash, dependencies, findings and source
+  verify <module> <hash>     Check a module against a hash without running it
+  encode <module> <hash>     Encode JSON from stdin and print the bytes
+  decode <module> <hash>     Decode bytes from stdin and print JSON
+
+<module> is a data URI, or a file holding a data URI, module source, or a binary bundle as bytes or
+the base64 text \`create --format binary\` prints.
+
+Options:
+  --json                     Print JSON instead of text
+  --name <name>              Encoder name for create
+  --format <format>          Module format for create: base64, utf8, source or binary
+  --dependencies <file>      JS file exporting the dependencies for create, encode and decode
+  --encoding <encoding>      Byte encoding for encode and decode: hex (default) or base64
+  --help                     Show this message`;
+
+const options = {
+    json: { type: "boolean", default: false },
+    name: { type: "string" },
+    format: { type: "string", default: "base64" },
+    dependencies: { type: "string" },
+    encoding: { type: "string", default: "hex" },
+    help: { type: "boolean", default: false }
+};
+
+class UsageError extends Error {}
+
+async function importFile(file) {
+    const [{resolve}, {pathToFileURL}] = await Promise.all([import("node:path"), import("node:url")]);
+    return import(pathToFileURL(resolve(file)).href);
+}
+
+async function readModuleArgument(argument) {
+    if (!argument) throw new UsageError("Missing module argument.");
+    if (argument.startsWith("data:")) return argument;
+
+    const { readFile } = await import("node:fs/promises");
+    const bytes = new Uint8Array(await readFile(argument));
+    if (readBundle(bytes) !== null) return bytes;
+
+    // Text is a data URI, a bundle printed as base64, or otherwise module source, which is hashed as it is
+    const text = b4a.toString(bytes, "utf8");
+    const trimmed = text.trim();
+    if (trimmed.startsWith("data:")) return trimmed;
+    if (/^[A-Za-z0-9+/]+={0,2}$/.test(trimmed)) {
+        const bundle = b4a.from(trimmed, "base64");
+        if (readBundle(bundle) !== null) return bundle;
+    }
+    return text;
+}
+
+async function readDependencies(values) {
+    if (!values.dependencies) return {};
+    const exports = await importFile(values.dependencies);
+    return exports.dependencies || exports.default || {};
+}
+
+async function readStdin(stdin) {
+    const chunks = [];
+    for await (const chunk of stdin) chunks.push(typeof chunk === "string" ? b4a.from(chunk) : chunk);
+    return b4a.toString(b4a.concat(chunks), "utf8").trim();
+}
+
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => typeof item === "bigint" ? item.toString() : item, 2);
+}
+
+function toText(fields) {
+    return Object.entries(fields)
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(", ") : value}`)
+        .join("\n");
+}
+
+const commands = {
+    async create([file], values) {
+        if (!file) throw new UsageError("Missing encoder file.");
+        const exports = await importFile(file);
+        const dependencies = values.dependencies ? await readDependencies(values) : exports.dependencies || {};
+        const name = values.name || exports.name || "";
+        const createOptions = { format: values.format };
+
+        const encoder = exports.default || exports.encoder;
+        if (!encoder && !exports.schema) {
+            throw new Error(`${file} exports no encoder; export it as default, \`encoder\` or \`schema\`.`);
+        }
+        const result = encoder
+            ? await create(name, encoder, dependencies, undefined, createOptions)
+            : await createFromSchema(name, exports.schema, dependencies, undefined, createOptions);
+
+        const output = { name, hash: result.hash };
+        if (result.uri) output.uri = result.uri;
+        if (result.source) output.source = result.source;
+        if (result.bundle) output.bundle = b4a.toString(result.bundle, "base64");
+        return values.json ? toJson(output) : toText(output);
+    },
+
+    async inspect([module], values) {
+        const moduleCode = decodeModule(await readModuleArgument(module));
+        const report = analyzeModule(moduleCode);
+        if (values.json) return toJson({ ...report, source: moduleCode });
+
+        const findings = report.findings.map(finding => `  ${finding.line}:${finding.column} ${finding.message}`);
+        return [
+            toText({ name: report.name || "", hash: report.hash, dependencies: report.dependencies }),
+            `findings: ${findings.length ? `\n${findings.join("\n")}` : "none"}`,
+            "",
+            moduleCode.trim()
+        ].join("\n");
+    },
+
+    async verify([module, hash], values) {
+        if (!hash) throw new UsageError("Missing hash argument.");
+        const computed = await generateModuleHash(decodeModule(await readModuleArgument(module)));
+        const ok = computed === hash;
+        const output = values.json ? toJson({ ok, expected: hash, computed }) : ok ? "ok" : `hash mismatch: expected ${hash}, computed ${computed}`;
+        return { output, code: ok ? 0 : 1 };
+    },
+
+    async encode([module, hash], values, io) {
+        const encoder = await loadArgument(module, hash, values);
+        const bytes = cenc.encode(encoder, JSON.parse(await readStdin(io.stdin)));
+        const encoded = b4a.toString(bytes, encodingOf(values));
+        return values.json ? toJson({ bytes: encoded, encoding: values.encoding }) : encoded;
+    },
+
+    async decode([module, hash], values, io) {
+        const encoder = await loadArgument(module, hash, values);
+        const value = cenc.decode(encoder, b4a.from(await readStdin(io.stdin), encodingOf(values)));
+        return toJson(value);
+    }
+};
+
+function encodingOf(values) {
+    if (values.encoding !== "hex" && values.encoding !== "base64") {
+        throw new UsageError(`Unknown encoding "${values.encoding}", expected hex or base64.`);
+    }
+    return values.encoding;
+}
+
+async function loadArgument(module, hash, values) {
+    if (!hash) throw new UsageError("Missing hash argument.");
+    return load(await readModuleArgument(module), hash, await readDependencies(values));
+}
+
+// Run a command and return its exit code: 0 on success, 1 when it fails, 2 on a usage error
+async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+        const [command, ...args] = positionals;
+
+        if (values.help) {
+            stdout.write(`${usage}\n`);
+            return 0;
+        }
+        if (!command) {
+            stderr.write(`${usage}\n`);
+            return 2;
+        }
+        if (!Object.hasOwn(commands, command)) {
+            throw new UsageError(`Unknown command "${command}".`);
+        }
+
+        const result = await commands[command](args, values, { stdin });
+        const { output, code } = typeof result === "string" ? { output: result, code: 0 } : result;
+        stdout.write(`${output}\n`);
+        return code;
+    } catch (error) {
+        // Library errors are prefixed with their code so scripts can tell failures apart
+        stderr.write(error instanceof DynamicEncoderError ? `${error.code}: ${error.message}\n` : `${error.message}\n`);
+        if (error instanceof UsageError || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+            stderr.write(`Run "dynamic-encoder --help" for usage.\n`);
+            return 2;
+        }
+        return 1;
+    }
+}
+
+export {run};
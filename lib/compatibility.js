@@ -0,0 +1,77 @@
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {load} from "./importEncodingFromUri.js";
+import {arbitrary, createRandom} from "./arbitrary.js";
+import {deepEqual} from "./equal.js";
+
+// Write every value with one encoder and read it back with the other. The first value that fails to decode,
+// or decodes to something else, is returned as the failing example. Values the writer can't encode are skipped.
+function roundTrip(writer, reader, values) {
+    let checked = 0;
+    let skipped = 0;
+
+    for (const value of values) {
+        let bytes;
+        try {
+            bytes = cenc.encode(writer, value);
+        } catch {
+            skipped++;
+            continue;
+        }
+
+        checked++;
+        const example = { value, bytes: b4a.toString(bytes, "hex") };
+        try {
+            const decoded = cenc.decode(reader, bytes);
+            if (!deepEqual(decoded, value)) {
+                return { ok: false, checked, skipped, failure: { ...example, decoded } };
+            }
+        } catch (error) {
+            return { ok: false, checked, skipped, failure: { ...example, error: error.message } };
+        }
+    }
+
+    return { ok: true, checked, skipped, failure: null };
+}
+
+// Example values from an encoder's manifest
+function examplesOf(encoder) {
+    return encoder.manifest && Array.isArray(encoder.manifest.examples) ? encoder.manifest.examples : [];
+}
+
+function samplesFor(encoder, count, random) {
+    if (!encoder.schema || count === 0) return [];
+    const generate = arbitrary(encoder.schema);
+    return Array.from({ length: count }, () => generate(random));
+}
+
+function statusOf(backward, forward) {
+    if (backward.ok && forward.ok) return "compatible";
+    if (backward.ok) return "backward-only";
+    if (forward.ok) return "forward-only";
+    return "incompatible";
+}
+
+// Compare two encoders given as `{ uri, hash }` pairs, using the supplied values, the examples in their manifests
+// and samples generated from their schemas. Backward compatibility means the new encoder decodes data
+// written by the old one; forward compatibility means the old encoder decodes data written by the new one.
+async function checkCompatibility(before, after, { values = [], samples = 100, seed = Date.now(), dependencies = {}, hasher, loadOptions = {} } = {}) {
+    // The shared `dependencies` serve both encoders, so each takes the ones it declares
+    const loadRef = ref => ref.dependencies
+        ? load(ref.uri || ref.module, ref.hash, hasher, ref.dependencies, loadOptions)
+        : load(ref.uri || ref.module, ref.hash, hasher, dependencies, { ...loadOptions, sharedDependencies: true });
+    const [previous, next] = await Promise.all([loadRef(before), loadRef(after)]);
+
+    // Generated samples follow the writer's schema, so each direction tests the data that side would produce
+    const random = createRandom(seed);
+    const backward = roundTrip(previous, next, [...values, ...examplesOf(previous), ...samplesFor(previous, samples, random)]);
+    const forward = roundTrip(next, previous, [...values, ...examplesOf(next), ...samplesFor(next, samples, random)]);
+
+    if (backward.checked === 0 && forward.checked === 0) {
+        throw new Error("Nothing to compare: pass values, or use encoders created from a schema.");
+    }
+
+    return { status: statusOf(backward, forward), seed, backward, forward };
+}
+
+export {checkCompatibility};
@@ -0,0 +1,212 @@
+import cenc from "compact-encoding";
+
+const compositeTypes = ["struct", "array", "optional", "enum"];
+
+// Describe a struct of named fields, each field being an encoder or another description
+export function struct(fields) {
+    return { type: "struct", fields };
+}
+
+// Describe a length-prefixed array of items
+export function array(item) {
+    return { type: "array", item };
+}
+
+// Describe a value that may be null or undefined, prefixed with a presence flag
+export function optional(item) {
+    return { type: "optional", item };
+}
+
+// Describe one of a fixed list of values, encoded as its index
+export function enumeration(values) {
+    return { type: "enum", values };
+}
+
+export function isComposite(description) {
+    return !!description &&
+        typeof description.encode !== "function" &&
+        compositeTypes.includes(description.type);
+}
+
+// Find the name a compact-encoding primitive is exported under, so it can be referenced through the injected `cenc`
+function primitiveName(encoder) {
+    if (typeof encoder === "string") {
+        const primitive = cenc[encoder];
+        if (!primitive || typeof primitive.encode !== "function") {
+            throw new Error(`Unknown compact-encoding primitive "${encoder}".`);
+        }
+        return encoder;
+    }
+    return Object.keys(cenc).find(key => cenc[key] === encoder);
+}
+
+// compact-encoding's factories build encoders that keep their arguments in a closure, which serializing their functions
+// loses. Their encoders are recognized by the source of the decode function they build.
+const factorySamples = {
+    array: () => cenc.array(cenc.uint),
+    frame: () => cenc.frame(cenc.uint),
+    fixed: () => cenc.fixed(1)
+};
+let factorySources = null;
+
+// The name of the compact-encoding factory that built an encoder, or null
+export function cencFactory(encoder) {
+    factorySources ??= new Map(Object.keys(factorySamples)
+        .filter(name => typeof cenc[name] === "function")
+        .map(name => [String(factorySamples[name]().decode), name]));
+    return encoder && typeof encoder.decode === "function" ? factorySources.get(String(encoder.decode)) || null : null;
+}
+
+function isEncoder(value) {
+    return !!value && ["preencode", "encode", "decode"].every(method => typeof value[method] === "function");
+}
+
+function indent(lines) {
+    return lines.map(line => `    ${line}`);
+}
+
+// Compile a composite description into an encoder whose functions are kept as source strings.
+// Custom encoders found in the tree are collected under `components` and referenced through
+// the module's `encoder` binding, so the whole tree ends up in the generated module and its hash.
+export function compileComposite(description) {
+    const components = {};
+    const componentKeys = new Map();
+    let counter = 0;
+
+    const nextName = prefix => `${prefix}${counter++}`;
+
+    function reference(node) {
+        const name = primitiveName(node);
+        if (name) return `cenc.${name}`;
+
+        if (!isEncoder(node)) {
+            throw new Error("Composite members must be compact encoders with preencode, encode and decode, primitive names or composite descriptions.");
+        }
+        if (node.components) {
+            throw new Error("Composite members cannot be loaded composite encoders; nest their descriptions instead.");
+        }
+
+        if (!componentKeys.has(node)) {
+            const key = `c${componentKeys.size}`;
+            componentKeys.set(node, key);
+            components[key] = node;
+        }
+        return `encoder.components.${componentKeys.get(node)}`;
+    }
+
+    function preencode(node, value) {
+        switch (isComposite(node) && node.type) {
+            case "struct":
+                return Object.keys(node.fields).flatMap(key => preencode(node.fields[key], `${value}[${JSON.stringify(key)}]`));
+            case "array": {
+                const i = nextName("i");
+                return [
+                    `cenc.uint.preencode(state, ${value}.length);`,
+                    `for (let ${i} = 0; ${i} < ${value}.length; ${i}++) {`,
+                    ...indent(preencode(node.item, `${value}[${i}]`)),
+                    "}"
+                ];
+            }
+            case "optional":
+                return [
+                    "cenc.bool.preencode(state, true);",
+                    `if (${value} !== null && ${value} !== undefined) {`,
+                    ...indent(preencode(node.item, value)),
+                    "}"
+                ];
+            case "enum":
+                return [`cenc.uint.preencode(state, ${JSON.stringify(node.values)}.indexOf(${value}));`];
+            default:
+                return [`${reference(node)}.preencode(state, ${value});`];
+        }
+    }
+
+    function encode(node, value) {
+        switch (isComposite(node) && node.type) {
+            case "struct":
+                return Object.keys(node.fields).flatMap(key => encode(node.fields[key], `${value}[${JSON.stringify(key)}]`));
+            case "array": {
+                const i = nextName("i");
+                return [
+                    `cenc.uint.encode(state, ${value}.length);`,
+                    `for (let ${i} = 0; ${i} < ${value}.length; ${i}++) {`,
+                    ...indent(encode(node.item, `${value}[${i}]`)),
+                    "}"
+                ];
+            }
+            case "optional":
+                return [
+                    `if (${value} !== null && ${value} !== undefined) {`,
+                    ...indent(["cenc.bool.encode(state, true);", ...encode(node.item, value)]),
+                    "} else {",
+                    ...indent(["cenc.bool.encode(state, false);"]),
+                    "}"
+                ];
+            case "enum": {
+                const index = nextName("e");
+                return [
+                    `const ${index} = ${JSON.stringify(node.values)}.indexOf(${value});`,
+                    `if (${index} === -1) throw new Error("Invalid enum value");`,
+                    `cenc.uint.encode(state, ${index});`
+                ];
+            }
+            default:
+                return [`${reference(node)}.encode(state, ${value});`];
+        }
+    }
+
+    // Emit statements that declare `target` holding the decoded value
+    function decode(node, target) {
+        switch (isComposite(node) && node.type) {
+            case "struct": {
+                const keys = Object.keys(node.fields);
+                const names = keys.map(() => nextName("v"));
+                return [
+                    ...keys.flatMap((key, i) => decode(node.fields[key], names[i])),
+                    `const ${target} = {`,
+                    ...indent(keys.map((key, i) => `${JSON.stringify(key)}: ${names[i]}${i < keys.length - 1 ? "," : ""}`)),
+                    "};"
+                ];
+            }
+            case "array": {
+                const length = nextName("n");
+                const i = nextName("i");
+                const item = nextName("v");
+                return [
+                    `const ${length} = cenc.uint.decode(state);`,
+                    `if (${length} > 0x100000) throw new Error("Array is too big");`,
+                    `const ${target} = new Array(${length});`,
+                    `for (let ${i} = 0; ${i} < ${length}; ${i}++) {`,
+                    ...indent([...decode(node.item, item), `${target}[${i}] = ${item};`]),
+                    "}"
+                ];
+            }
+            case "optional": {
+                const item = nextName("v");
+                return [
+                    `let ${target} = null;`,
+                    "if (cenc.bool.decode(state)) {",
+                    ...indent([...decode(node.item, item), `${target} = ${item};`]),
+                    "}"
+                ];
+            }
+            case "enum":
+                return [
+                    `const ${target} = ${JSON.stringify(node.values)}[+cenc.uint.decode(state)];`,  // A numeric key, which policies accept
+                    `if (${target} === undefined) throw new Error("Invalid enum value");`
+                ];
+            default:
+                return [`const ${target} = ${reference(node)}.decode(state);`];
+        }
+    }
+
+    const toFunction = (signature, body) => [`function ${signature} {`, ...indent(body), "}"].join("\n");
+    const result = nextName("v");
+
+    return {
+        preencode: toFunction("preencode(state, m)", preencode(description, "m")),
+        encode: toFunction("encode(state, m)", encode(description, "m")),
+        decode: toFunction("decode(state)", [...decode(description, result), `return ${result};`]),
+        components
+    };
+}
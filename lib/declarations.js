@@ -0,0 +1,76 @@
+// TypeScript declarations for generated modules, describing the factory and, when the module carries a schema,
+// the type of the values its encoder reads and writes
+import {readModule} from "./analyzer.js";
+import {schemaToDescription} from "./schema.js";
+
+const primitiveTypes = {
+    number: ["uint", "uint8", "uint16", "uint24", "uint32", "uint40", "uint48", "uint56", "uint64",
+        "int", "int8", "int16", "int24", "int32", "int40", "int48", "int56", "int64", "float32", "float64"],
+    bigint: ["biguint64", "bigint64", "biguint", "bigint"],
+    string: ["string", "utf8", "ascii", "hex", "base64", "utf16le", "ucs2"],
+    boolean: ["bool"],
+    "Uint8Array | null": ["buffer", "binary"],
+    Uint8Array: ["raw", "uint8array", "fixed32", "fixed64"],
+    null: ["none"]
+};
+
+function primitiveType(name) {
+    const entry = Object.entries(primitiveTypes).find(([, names]) => names.includes(name));
+    return entry ? entry[0] : "unknown";
+}
+
+function indent(text) {
+    return text.split("\n").join("\n    ");
+}
+
+// The TypeScript type of the values described by a schema
+export function schemaToType(schema) {
+    const toType = node => {
+        if (typeof node === "string") return primitiveType(node);
+        switch (node.type) {
+            case "struct": {
+                const fields = Object.keys(node.fields).map(key => `${JSON.stringify(key)}: ${indent(toType(node.fields[key]))};`);
+                return fields.length ? `{\n    ${fields.join("\n    ")}\n}` : "{}";
+            }
+            case "array": {
+                const item = toType(node.item);
+                return /^[\w.]+$/.test(item) ? `${item}[]` : `Array<${item}>`;
+            }
+            case "optional": {
+                const item = toType(node.item);
+                return item === "null" || item.endsWith(" | null") ? item : `${item} | null`;
+            }
+            case "enum":
+                return node.values.map(value => JSON.stringify(value)).join(" | ");
+        }
+    };
+    return toType(schemaToDescription(schema));
+}
+
+// Declarations for a generated module: the value type, the encoder it builds and its factory's parameters
+export function generateDeclarations(moduleCode) {
+    const { parameters, schema, slots = {}, name, hash } = readModule(moduleCode, ["schema", "slots", "name", "hash"]);
+
+    const dependencies = parameters.slice(2).map(parameter =>
+        `${parameter}: ${Object.hasOwn(slots, parameter) ? "object" : "(...args: any[]) => any"}`);
+
+    return `// Generated by dynamic-encoder${name ? ` for "${name}"` : ""}. Module hash: ${hash}
+export type Value = ${schema ? schemaToType(schema) : "unknown"};
+
+export interface State {
+    start: number;
+    end: number;
+    buffer: Uint8Array | null;
+}
+
+export interface Encoder {
+    preencode(state: State, value: Value): void;
+    encode(state: State, value: Value): void;
+    decode(state: State): Value;
+    name?: string;
+    hash: string;
+}
+
+export default function factory(${["cenc: any", "b4a: any", ...dependencies].join(", ")}): Encoder;
+`;
+}
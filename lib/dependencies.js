@@ -0,0 +1,144 @@
+// Dependencies come in three kinds:
+// - functions are embedded as encoder properties and injected as module parameters, as they always were
+// - serializable values (JSON-able data and Uint8Arrays) are embedded in the module and covered by its hash
+// - live objects are declared as injection slots: a module parameter plus an interface fingerprint the hash covers,
+//   and `load` only accepts a replacement with the same fingerprint
+import b4a from "b4a";
+import {InvalidDependencyError, MissingDependencyError, UnknownDependencyError} from "./errors.js";
+
+// Dependencies become module parameters, local constants and encoder properties, so their names must be identifiers
+// that can be bound in a strict mode module and must not shadow what the module template declares itself
+const reservedWords = new Set([
+    "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do", "else",
+    "enum", "export", "extends", "false", "finally", "for", "function", "if", "implements", "import", "in",
+    "instanceof", "interface", "let", "new", "null", "package", "private", "protected", "public", "return", "static",
+    "super", "switch", "this", "throw", "true", "try", "typeof", "var", "void", "while", "with", "yield",
+    "arguments", "eval"
+]);
+const templateNames = new Set(["cenc", "b4a", "encoder"]);
+const encoderKeys = new Set([
+    "encode", "decode", "preencode", "upgrade", "downgrade", "components", "schema", "lineage", "members",
+    "slots", "requires", "manifest", "name", "hash"
+]);
+
+export function isSerializable(value) {
+    if (value === null || value === undefined) return true;
+    if (b4a.isBuffer(value) || value instanceof Uint8Array) return true;
+
+    switch (typeof value) {
+        case "string":
+        case "number":
+        case "boolean":
+        case "bigint":
+            return true;
+        case "object":
+            if (Array.isArray(value)) return value.every(isSerializable);
+            if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) return false;
+            return Object.values(value).every(isSerializable);
+        default:
+            return false;
+    }
+}
+
+// Emit a JavaScript expression that recreates a serializable value inside the generated module
+export function toSource(value) {
+    if (value === undefined) return "undefined";
+    if (b4a.isBuffer(value) || value instanceof Uint8Array) {
+        return `b4a.from(${JSON.stringify(b4a.toString(value, "hex"))}, "hex")`;
+    }
+    if (typeof value === "bigint") return `${value}n`;
+    if (typeof value === "number" && !Number.isFinite(value)) {
+        return Number.isNaN(value) ? "NaN" : value > 0 ? "Infinity" : "-Infinity";
+    }
+    if (Array.isArray(value)) return `[${value.map(toSource).join(", ")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).map(key => `${JSON.stringify(key)}: ${toSource(value[key])}`).join(", ")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Describe the shape of a live object: its methods with their arity and the types of its other properties
+export function fingerprint(value) {
+    if (value === null || (typeof value !== "object" && typeof value !== "function")) {
+        return typeof value;
+    }
+
+    const members = new Map();
+    for (let current = value; current && current !== Object.prototype && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+        for (const key of Object.getOwnPropertyNames(current)) {
+            if (key === "constructor" || members.has(key)) continue;
+            const descriptor = Object.getOwnPropertyDescriptor(current, key);
+            const member = descriptor.get ? undefined : descriptor.value;
+            members.set(key, typeof member === "function" ? `${key}/${member.length}` : `${key}:${typeof member}`);
+        }
+    }
+    return [...members.keys()].sort().map(key => members.get(key)).join(",");
+}
+
+// Reject dependency names the generated module can't declare, or that would replace a binding or encoder property
+// the module relies on
+export function checkDependencyName(key) {
+    let reason;
+    if (!/^[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*$/u.test(key)) reason = "is not a valid identifier";
+    else if (reservedWords.has(key)) reason = "is a reserved word";
+    else if (templateNames.has(key)) reason = "is already bound in the module";
+    else if (encoderKeys.has(key)) reason = "is already an encoder property";
+
+    if (reason) {
+        throw new InvalidDependencyError(`Dependency name "${key}" ${reason}; rename the dependency.`, { dependency: key });
+    }
+}
+
+// Split dependencies into injected parameters, embedded values and injection slots
+export function classifyDependencies(dependencies = {}) {
+    const parameters = [];
+    const values = {};
+    const slots = {};
+
+    for (const key of Object.keys(dependencies).sort()) {
+        checkDependencyName(key);
+        const dependency = dependencies[key];
+        if (typeof dependency === "function") {
+            parameters.push(key);
+        } else if (isSerializable(dependency)) {
+            values[key] = dependency;
+        } else {
+            parameters.push(key);
+            slots[key] = fingerprint(dependency);
+        }
+    }
+
+    return { parameters, values, slots };
+}
+
+// Check the dependencies supplied to `load` against the module's parameters, and live objects against the slots
+// the module declares. Values the module embeds may be passed too, so the dependencies given to `create` load as they are.
+export function checkDependencies(parameters = [], slots = {}, dependencies = {}, values = []) {
+    const unknown = Object.keys(dependencies).filter(key => !parameters.includes(key) && !values.includes(key));
+    if (unknown.length) {
+        const names = unknown.map(key => `"${key}"`).join(", ");
+        throw new UnknownDependencyError(
+            `Unknown ${unknown.length === 1 ? "dependency" : "dependencies"} ${names}: the module expects ${parameters.join(", ") || "none"}.`,
+            { unknown, parameters }
+        );
+    }
+
+    const missing = parameters.filter(key => dependencies[key] === undefined);
+    if (missing.length) {
+        const names = missing.map(key => `"${key}"`).join(", ");
+        throw new MissingDependencyError(
+            `Missing ${missing.length === 1 ? "dependency" : "dependencies"} ${names}: the module expects ${parameters.join(", ")}.`,
+            { missing, parameters }
+        );
+    }
+
+    for (const key of Object.keys(slots)) {
+        const actual = fingerprint(dependencies[key]);
+        if (actual !== slots[key]) {
+            throw new MissingDependencyError(
+                `Dependency "${key}" does not match its declared interface "${slots[key]}" (got "${actual}").`,
+                { missing: [key], parameters, expected: slots[key], actual }
+            );
+        }
+    }
+}
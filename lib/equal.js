@@ -0,0 +1,19 @@
+// Structural equality for decoded values. Values may come from another realm (see the sandbox option),
+// so types are compared by shape rather than by prototype identity.
+export function deepEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== "object") return false;
+
+    if (ArrayBuffer.isView(a) || ArrayBuffer.isView(b)) {
+        if (!ArrayBuffer.isView(a) || !ArrayBuffer.isView(b) || a.byteLength !== b.byteLength) return false;
+        const viewA = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+        const viewB = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+        return viewA.every((byte, i) => byte === viewB[i]);
+    }
+
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
@@ -0,0 +1,91 @@
+// Errors thrown when creating and loading encoders. Each carries a stable `code` to branch on, since messages may
+// change, and the details needed to act on the failure.
+class DynamicEncoderError extends Error {
+    constructor(message, code, details = {}, options) {
+        super(message, options);
+        this.name = new.target.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+// The module, a part of it or a dependency does not hash to what the caller expected. `functions` names the parts
+// that differ when they are known, which needs a hash tree: leaf names such as `decode` or `dep:<name>`, or `module`
+// for the rest of the module.
+class HashMismatchError extends DynamicEncoderError {
+    constructor(message, { expected = null, computed = null, functions = null } = {}) {
+        super(message, "ERR_HASH_MISMATCH", { expected, computed, functions });
+    }
+}
+
+// The module source does not parse. `line` and `column` locate the error in the module source when it is known.
+class ModuleSyntaxError extends DynamicEncoderError {
+    constructor(message, { line = null, column = null } = {}, options) {
+        super(message, "ERR_MODULE_SYNTAX", { line, column }, options);
+    }
+}
+
+// The dependencies passed to `load` don't provide every parameter of the module, or a live object doesn't match
+// the interface its slot declares
+class MissingDependencyError extends DynamicEncoderError {
+    constructor(message, { missing = [], parameters = [], expected, actual, ...details } = {}, code = "ERR_MISSING_DEPENDENCY") {
+        super(message, code, { missing, parameters, ...(expected === undefined ? {} : { expected, actual }), ...details });
+    }
+}
+
+// A dependency passed to `load` is neither a parameter of the module nor a value it embeds, such as a misspelled name.
+// `unknown` lists them.
+class UnknownDependencyError extends MissingDependencyError {
+    constructor(message, { unknown = [], parameters = [] } = {}) {
+        super(message, { parameters, unknown }, "ERR_UNKNOWN_DEPENDENCY");
+    }
+}
+
+// A dependency passed to `create` has a name the module can't use as a parameter. `dependency` is the name.
+class InvalidDependencyError extends MissingDependencyError {
+    constructor(message, { dependency = null } = {}) {
+        super(message, { dependency }, "ERR_INVALID_DEPENDENCY");
+    }
+}
+
+// The capability policy denies what the module touches. `report` is the `inspect` report the policy was applied to.
+class PolicyViolationError extends DynamicEncoderError {
+    constructor(message, { report = null } = {}) {
+        super(message, "ERR_POLICY_VIOLATION", { report });
+    }
+}
+
+// The runtime lacks an API the module uses, or its version is unknown or outside the range the module declares.
+// `runtime` names the package, `missing` the absent APIs, and `required` and `actual` the range and version.
+class RuntimeMismatchError extends DynamicEncoderError {
+    constructor(message, { runtime = null, missing = [], required = null, actual = null } = {}) {
+        super(message, "ERR_RUNTIME_MISMATCH", { runtime, missing, required, actual });
+    }
+}
+
+// An option passed to `create` or `load` is malformed or can't be combined with the others. `option` names it.
+class InvalidOptionError extends DynamicEncoderError {
+    constructor(message, { option = null } = {}, options) {
+        super(message, "ERR_INVALID_OPTION", { option }, options);
+    }
+}
+
+// The module comes in a transport, format or bundle version this version of the library can't read or write
+class EncodingUnsupportedError extends DynamicEncoderError {
+    constructor(message) {
+        super(message, "ERR_ENCODING_UNSUPPORTED");
+    }
+}
+
+// The module has not been approved by the caller: it isn't signed by a trusted key, or it arrived with data or from
+// a peer and nothing vouched for its hash. `hash` is the module's hash when it is known.
+class UntrustedModuleError extends DynamicEncoderError {
+    constructor(message, { hash = null } = {}) {
+        super(message, "ERR_UNTRUSTED_MODULE", { hash });
+    }
+}
+
+export {
+    DynamicEncoderError, HashMismatchError, ModuleSyntaxError, MissingDependencyError, UnknownDependencyError, InvalidDependencyError,
+    EncodingUnsupportedError, UntrustedModuleError, PolicyViolationError, RuntimeMismatchError, InvalidOptionError
+};
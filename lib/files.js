@@ -0,0 +1,57 @@
+// Modules as files: `create` can write a module as a real ES module with TypeScript declarations, and `load`
+// accepts file URLs and `{ file }` references. Node modules are imported lazily to keep the package usable in browsers.
+import {generateDeclarations} from "./declarations.js";
+import {readModule} from "./analyzer.js";
+
+async function modules() {
+    const [fs, path, url] = await Promise.all([import("node:fs/promises"), import("node:path"), import("node:url")]);
+    return { fs, path, url };
+}
+
+// The file a module argument names: a file URL, as a `URL` or a `file:` string, or a `{ file }` object holding a path
+// or file URL. Other strings are module source or data URIs, never paths. Returns null for anything else.
+export function moduleFile(module) {
+    if (module instanceof URL) return module.protocol === "file:" ? module : null;
+    if (typeof module === "string") return module.startsWith("file:") ? module : null;
+    if (module && typeof module === "object" && !(module instanceof Uint8Array) && module.file) return module.file;
+    return null;
+}
+
+// Write the module to `file`, with declarations next to it when the module carries a schema
+export async function writeModuleFiles(file, moduleCode) {
+    const { fs, path, url } = await modules();
+    const target = file instanceof URL || String(file).startsWith("file:") ? url.fileURLToPath(file) : path.resolve(file);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, moduleCode);
+    const result = { file: target };
+
+    if (readModule(moduleCode, ["schema"]).schema) {
+        const declarations = target.replace(/\.[cm]?js$/, "") + ".d.ts";
+        await fs.writeFile(declarations, generateDeclarations(moduleCode));
+        result.declarations = declarations;
+    }
+    return result;
+}
+
+// Read a module file as text
+export async function readModuleFile(file) {
+    const { fs, url } = await modules();
+    const target = file instanceof URL || file.startsWith("file:") ? url.fileURLToPath(file) : file;
+    return fs.readFile(target, "utf8");
+}
+
+// Import verified module source from a file, for environments that don't allow importing data URIs. The source is
+// written to a new private directory and imported from there, so a module file changed after it was checked is
+// never what runs.
+export async function importModuleFile(moduleCode) {
+    const [{ fs, path, url }, os] = await Promise.all([modules(), import("node:os")]);
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "dynamic-encoder-"));
+    try {
+        const target = path.join(directory, "module.mjs");
+        await fs.writeFile(target, moduleCode, { mode: 0o600 });
+        return await import(url.pathToFileURL(target).href);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
@@ -1,42 +1,123 @@
 // Generate module code template with a hash of the encoder, optional encoder name, and custom hasher
-import {generateHash} from "./hasher.js";
-import {toDataUri} from "./toDataUri.js";
+import {embedModuleHash, generateModuleHash} from "./hasher.js";
+import {encodeModule} from "./transport.js";
 import {generateFunctionsString} from "./generateFunctionsString.js";
+import {cencFactory, compileComposite, isComposite} from "./composite.js";
+import {signModule} from "./signer.js";
+import {analyzeModule, applyPolicy, runtimeReferences} from "./analyzer.js";
+import {classifyDependencies, toSource} from "./dependencies.js";
+import {buildManifest} from "./manifest.js";
+import {moduleTree} from "./tree.js";
+import {writeModuleFiles} from "./files.js";
+import {runtimeRequirements} from "./runtime.js";
+import {MissingDependencyError} from "./errors.js";
 
 // Generate module code template with a hash of the encoder, optional encoder name, and custom hasher
-// Generate module code template with a hash of the encoder, optional encoder name, and custom hasher
-async function generateEncodingUri(encoderName = "", encoder, dependencies = {}, hasher) {
-    // Sort dependency keys alphabetically
-    const dependencyKeys = Object.keys(dependencies).sort();
-    const dependencyString = dependencyKeys.length ? `,${dependencyKeys.join(",")}` : "";
+async function generateEncodingUri(encoderName = "", encoder, dependencies = {}, hasher, options = {}) {
+    // Composite descriptions are compiled into a single encoder covering the whole tree
+    const composite = isComposite(encoder);
+    if (composite) {
+        encoder = compileComposite(encoder);
+    }
+
     const functionsString = generateFunctionsString(encoder, dependencies);
 
-    // Generate the hash using the provided hasher or default
-    const hash = await generateHash(encoder, dependencies, hasher);
+    // Only add name if there are valid functions or dependencies; the hash is filled in once the module is complete
+    const nameEntry = encoderName || encoder.name ? `name: ${JSON.stringify(encoderName || encoder.name)}` : '';
+
+    const moduleCode = moduleTemplate([functionsString], nameEntry, dependencies, options);
+    if (composite) checkCaptured(moduleCode, encoder.components);
+
+    return packageModule(moduleCode, hasher, options);
+}
 
-    // Only add name and hash if there are valid functions or dependencies
-    const nameEntry = encoderName || encoder.name ? `name: "${encoderName || encoder.name}"` : '';
-    const hashEntry = `hash: "${hash}"`;
+// Wrap encoder properties in the module template, with the name and an empty hash entry last.
+// Functions and live objects become parameters, sorted alphabetically; serializable values are embedded.
+// The runtime APIs the module uses are declared, along with any version ranges asked for in `options.runtime`,
+// and `options.manifest` is embedded with the dependency kinds and runtime filled in.
+export function moduleTemplate(entries, nameEntry, dependencies = {}, { runtime, manifest } = {}) {
+    const draft = renderModule(entries, nameEntry, dependencies);
+    const requires = runtimeRequirements(runtimeReferences(draft), runtime);
+
+    const extra = [];
+    if (Object.keys(requires).length) extra.push(`requires: ${JSON.stringify(requires)}`);
+    if (manifest) extra.push(`manifest: ${JSON.stringify(buildManifest(manifest, dependencies, requires))}`);
+    return extra.length ? renderModule([...entries, ...extra], nameEntry, dependencies) : draft;
+}
+
+// Functions are serialized from their source, so values the components of a composite encoder captured in a
+// closure are lost. A name that is neither declared in the module, a dependency nor a global here would only fail
+// once the encoder runs. Members built by compact-encoding's factories, such as `cenc.array(cenc.string)`, capture
+// compact-encoding's own internals, which are no use as dependencies, so those point to the composite helpers instead.
+export function checkCaptured(moduleCode, components = {}) {
+    const captured = analyzeModule(moduleCode).globals.filter(name => !(name in globalThis));
+    if (captured.length) {
+        const names = captured.map(name => `"${name}"`).join(", ");
+        const factories = [...new Set(Object.values(components).map(cencFactory).filter(Boolean))];
+        const advice = factories.length
+            ? `Members built with compact-encoding's ${factories.map(name => `${name}()`).join(", ")} keep what they were built from in a closure, which is not serialized; ` +
+                "describe lists with array() and nullable values with optional() from dynamic-encoder instead, e.g. array(cenc.string)."
+            : "Values captured by closures are not serialized; pass them as dependencies.";
+        throw new MissingDependencyError(
+            `Encoder code references ${names}, which ${captured.length === 1 ? "is" : "are"} not declared, a dependency or a global. ${advice}`,
+            { missing: captured }
+        );
+    }
+}
+
+function renderModule(entries, nameEntry, dependencies) {
+    const { parameters, values, slots } = classifyDependencies(dependencies);
+    const dependencyString = parameters.length ? `,${parameters.join(",")}` : "";
+
+    const valueKeys = Object.keys(values);
+    const declarations = valueKeys.map(key => `const ${key} = ${toSource(values[key])};\n    `).join("");
+    const valueEntries = valueKeys.map(key => `${key}: ${key}`).join(",\n");
+    const slotsEntry = Object.keys(slots).length ? `slots: ${JSON.stringify(slots)}` : '';
+    const hashEntry = `hash: ""`;
 
     // Build the final list of properties, ensuring no trailing commas
-    const properties = [functionsString, nameEntry, hashEntry].filter(Boolean).join(",\n");
+    const properties = [...entries, valueEntries, slotsEntry, nameEntry, hashEntry].filter(Boolean).join(",\n");
 
-    // Generate module code with dependency keys in alphabetical order
-    const moduleCode = `
+    // Generate module code with dependency keys in alphabetical order.
+    // The encoder is bound to a name so composite functions can reach their components.
+    return `
 export default function (cenc, b4a${dependencyString}) {
-    return {
+    ${declarations}const encoder = {
         ${properties}
     };
+    return encoder;
 }`;
-
-    return {
-        uri: toDataUri(moduleCode),
-        hash  // Return the generated hash
-    };
 }
 
+// Hash, check, package and optionally sign canonical module code, giving the result `create` returns
+export async function packageModule(canonicalCode, hasher, options = {}) {
+    // Generate the hash over the whole module using the provided hasher or default
+    const hash = await generateModuleHash(canonicalCode, hasher);
+    const moduleCode = embedModuleHash(canonicalCode, hash);
 
+    // Check what the encoder touches against the caller's policy before handing the module out
+    if (options.policy && options.policy !== "allow") {
+        applyPolicy(analyzeModule(moduleCode), options);
+    }
 
+    // Package the module as a data URI by default, or as raw source or a binary bundle
+    const result = {
+        ...encodeModule(moduleCode, options.format),
+        hash,  // Return the generated hash
+        tree: await moduleTree(moduleCode, hasher)  // Per-function hashes, for loading with replaceable leaves
+    };
+
+    // Write the module as a real ES module file, with TypeScript declarations when it carries a schema
+    if (options.file) {
+        Object.assign(result, await writeModuleFiles(options.file, moduleCode));
+    }
 
+    // Sign the module with the publisher's key pair so loaders can check who produced it
+    if (options.sign) {
+        Object.assign(result, await signModule(moduleCode, options.sign, options.signer));
+    }
+
+    return result;
+}
 
 export {generateEncodingUri as create};
\ No newline at end of file
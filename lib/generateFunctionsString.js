@@ -1,32 +1,58 @@
-export function generateFunctionsString(encoder, dependencies = {}) {
-    const { encode, decode, preencode } = encoder;
+import {canonicalFunction} from "./canonical.js";
 
-    // Helper function to handle only function dependencies
-    function handleFunction(fnName, fn) {
-        const fnString = fn.toString();
+// Serialize an encoder's functions, dependencies and data as object literal properties. Functions are emitted
+// in canonical form; `legacy` keeps the raw `toString()` output that hashes from before canonicalization cover.
+export function generateFunctionsString(encoder, dependencies = {}, { legacy = false } = {}) {
+    const { encode, decode, preencode, upgrade, downgrade, components, schema, lineage } = encoder;
 
-        // Detect shorthand methods and convert to full function expression
-        if (fnString.startsWith(fnName + '(') || fnString.startsWith(fnName + ' (')) {
-            return `${fnName}: function ${fnName}${fnString.slice(fnString.indexOf('('))}`;
-        }
-
-        // Otherwise, return function expressions and arrow functions as-is
-        return `${fnName}: ${fnString}`;
-    }
+    // Helper function to handle only function dependencies (generated functions arrive as source strings)
+    const handleFunction = (fnName, fn) => `${fnName}: ${functionSource(fnName, fn, legacy)}`;
 
     // Filter only functions (dependencies that are functions, not objects)
     const depStrings = Object.keys(dependencies)
         .filter(depName => typeof dependencies[depName] === 'function')
         .map(depName => handleFunction(depName, dependencies[depName]));
 
+    // Nested encoders of a composite encoder are serialized alongside, so they are part of the module and its hash
+    const componentKeys = components ? Object.keys(components) : [];
+    const componentsString = componentKeys.length
+        ? `components: {\n${componentKeys.map(key => `${key}: {\n${generateFunctionsString(components[key], {}, { legacy })}\n}`).join(",\n")}\n}`
+        : '';
+
+    // A schema the encoder was compiled from, and its place in a versioned lineage, travel with it as plain data
+    const schemaString = schema ? `schema: ${JSON.stringify(schema)}` : '';
+    const lineageString = lineage ? `lineage: ${JSON.stringify(lineage)}` : '';
+
     // Build the final property list for the encoder, making sure no commas are added unnecessarily
     const properties = [
         encode ? handleFunction('encode', encode) : '',
         decode ? handleFunction('decode', decode) : '',
         preencode ? handleFunction('preencode', preencode) : '',
-        ...depStrings
+        upgrade ? handleFunction('upgrade', upgrade) : '',
+        downgrade ? handleFunction('downgrade', downgrade) : '',
+        ...depStrings,
+        componentsString,
+        schemaString,
+        lineageString
     ].filter(Boolean);  // Remove empty strings
 
     // If no functions or dependencies exist, return an empty string to avoid commas
     return properties.length > 0 ? properties.join(",\n") : '';
 }
+
+// The source a function is serialized as under `fnName`; generated functions arrive as source strings
+export function functionSource(fnName, fn, legacy = false) {
+    if (!legacy) {
+        return canonicalFunction(fnName, fn);
+    }
+
+    const fnString = fn.toString();
+
+    // Detect shorthand methods and convert to full function expression
+    if (fnString.startsWith(fnName + '(') || fnString.startsWith(fnName + ' (')) {
+        return `function ${fnName}${fnString.slice(fnString.indexOf('('))}`;
+    }
+
+    // Otherwise, return function expressions and arrow functions as-is
+    return fnString;
+}
@@ -7,9 +7,33 @@ export async function defaultHasher(data) {
     return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-// Generate a hash from the stringified encoder functions, with optional custom hasher and b4a
+// The hash is embedded as the last property of the generated module, right before `return encoder;`
+const hashEntryPattern = /hash: "([^"\\]*)"(\s*\};\s*return encoder;\s*\}\s*)$/;
+
+// Blank out the embedded hash, giving the canonical source the module hash is computed over
+export function canonicalModuleSource(moduleCode) {
+    return moduleCode.replace(hashEntryPattern, 'hash: ""$2');
+}
+
+export function embedModuleHash(moduleCode, hash) {
+    return moduleCode.replace(hashEntryPattern, (entry, embedded, rest) => `hash: ${JSON.stringify(hash)}${rest}`);
+}
+
+// The hash embedded in module source, or null when there is none
+export function readEmbeddedHash(moduleCode) {
+    const match = hashEntryPattern.exec(moduleCode);
+    return match ? match[1] : null;
+}
+
+// Generate a hash over the whole module source, covering the name, dependency parameters and every function
+export async function generateModuleHash(moduleCode, hasher = defaultHasher) {
+    return hasher(b4a.from(canonicalModuleSource(moduleCode)));
+}
+
+// Generate a hash from the stringified encoder functions, with optional custom hasher and b4a.
+// This is the legacy scheme, only used to verify and migrate modules created before module hashing.
 export async function generateHash(encoder, dependencies = {}, hasher = defaultHasher) {
-    const functionsString = generateFunctionsString(encoder, dependencies);
+    const functionsString = generateFunctionsString(encoder, dependencies, { legacy: true });
     // console.log("Hashing the following functions string:", functionsString);
     const encoderBuffer = b4a.from(functionsString);  // Use b4a for string-to-buffer conversion
     return hasher(encoderBuffer);
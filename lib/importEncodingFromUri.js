@@ -1,38 +1,164 @@
 import cenc from "compact-encoding";
 import b4a from "b4a";
 // Dynamically load the module and verify data integrity with optional custom hasher
-import {defaultHasher, generateHash} from "./hasher.js";
+import {defaultHasher, generateHash, generateModuleHash} from "./hasher.js";
+import {toDataUri} from "./toDataUri.js";
+import {decodeModule} from "./transport.js";
+import {verifyModule} from "./signer.js";
+import {create} from "./generateEncodingUri.js";
+import {evaluateInSandbox} from "./sandbox.js";
+import {analyzeModule, applyPolicy, parseModule, readModule} from "./analyzer.js";
+import {checkDependencies} from "./dependencies.js";
+import {checkTree, replaceLeaves} from "./tree.js";
+import {importModuleFile, moduleFile, readModuleFile} from "./files.js";
+import {checkRuntime, resolveRuntime} from "./runtime.js";
+import {cacheKey} from "./cache.js";
+import {HashMismatchError, InvalidOptionError, ModuleSyntaxError} from "./errors.js";
+
+// `hasherOrDeps` is the hasher, or dependencies, which are merged with any also passed as `dependencies`
+function splitArguments(hasherOrDeps, dependencies) {
+    if (typeof hasherOrDeps === 'function') return { hasher: hasherOrDeps, dependencies };
+    if (hasherOrDeps && typeof hasherOrDeps === 'object') return { hasher: defaultHasher, dependencies: { ...dependencies, ...hasherOrDeps } };
+    return { hasher: defaultHasher, dependencies };
+}
 
 // Dynamically load the module and verify data integrity with optional custom hasher
-async function importEncodingFromUri(dataUri, expectedHash, hasherOrDeps = defaultHasher, dependencies = {}) {
-    let hasher = defaultHasher;
+async function importEncodingFromUri(dataUri, expectedHash, hasherOrDeps = defaultHasher, dependencies = {}, options = {}) {
+    // A cache hit returns the encoder an earlier load verified against the same hash, with the same
+    // dependencies and options, without decoding, hashing or importing the module again
+    if (options.cache) {
+        const { cache, ...rest } = options;
+        const { hasher, dependencies: deps } = splitArguments(hasherOrDeps, dependencies);
+        const key = cacheKey(expectedHash, hasher, deps, rest);
+
+        const cached = cache.get(key);
+        if (cached) return cached;
+
+        const pending = importEncodingFromUri(dataUri, expectedHash, hasherOrDeps, dependencies, rest);
+        cache.set(key, expectedHash, pending);
+        return pending;
+    }
+
+    if (options.legacy) {
+        const { hasher, dependencies: deps } = splitArguments(hasherOrDeps, dependencies);
+        return importLegacyEncoding(dataUri, expectedHash, hasher, deps, options);
+    }
+
+    const loadedEncoder = await instantiate(dataUri, expectedHash, hasherOrDeps, dependencies, options);
+    return cenc.from(loadedEncoder);  // Return the verified encoder
+}
 
+// Verify a module and run its factory, returning the object it builds. `check(moduleCode, hasher)`
+// runs after the module's own checks and before it is evaluated.
+export async function instantiate(dataUri, expectedHash, hasherOrDeps = defaultHasher, dependencies = {}, options = {}, check) {
     // If `hasherOrDeps` is a function, treat it as the hasher, otherwise treat it as dependencies
-    if (typeof hasherOrDeps === 'function') {
-        hasher = hasherOrDeps;
-    } else if (typeof hasherOrDeps === 'object') {
-        dependencies = hasherOrDeps;
+    const split = splitArguments(hasherOrDeps, dependencies);
+    const hasher = split.hasher;
+    dependencies = split.dependencies;
+
+    // Hash the module source and reject on mismatch before any of it is evaluated.
+    // Files are read and checked first, and then a private copy of the checked source is imported.
+    const file = moduleFile(dataUri);
+    const moduleCode = decodeModule(file ? await readModuleFile(file) : dataUri);
+
+    let replacements = {};
+    if (options.hashTree) {
+        // With a hash tree the expected hash is its root, and only the leaves replaced by local functions may differ
+        const { replaceable } = options;
+        replacements = await checkTree(moduleCode, expectedHash, options.hashTree, { replaceable, dependencies, hasher });
+    } else {
+        // Verify that the computed hash matches the expected hash
+        const computed = await generateModuleHash(moduleCode, hasher);
+        if (computed !== expectedHash) {
+            throw new HashMismatchError("Data integrity check failed: hash mismatch.", { expected: expectedHash, computed });
+        }
+    }
+
+    // With trusted keys configured, only modules signed by one of them are imported
+    if (options.trustedKeys) {
+        await verifyModule(moduleCode, { ...options, hash: expectedHash });
+    }
+
+    // Check what the encoder touches against the caller's policy before running it
+    if (options.policy && options.policy !== "allow") {
+        applyPolicy(analyzeModule(moduleCode), options);
     }
 
+    if (check) {
+        await check(moduleCode, hasher);
+    }
+
+    // Every parameter needs a dependency, every dependency has to be a parameter or an embedded value, and live objects
+    // have to match the interface their slot declares; serializable values are embedded in the module, so dependencies
+    // are passed by the module's parameter names.
+    // Replaced function dependencies are injected as their local replacements.
+    const { parameters, values, slots, requires } = readModule(moduleCode, ["slots", "requires"]);
+    const local = Object.fromEntries(parameters.slice(2).filter(key => Object.hasOwn(replacements, key)).map(key => [key, replacements[key]]));
+    dependencies = { ...dependencies, ...local };
+    // Dependencies shared by several modules may include keys this one doesn't declare
+    if (options.sharedDependencies) {
+        dependencies = Object.fromEntries(Object.entries(dependencies).filter(([key]) => parameters.includes(key) || values.includes(key)));
+    }
+    checkDependencies(parameters.slice(2), slots, dependencies, values);
+    const injected = parameters.slice(2).map(key => dependencies[key]);
+
+    // The module runs against the supplied runtime, or the bundled cenc and b4a, if it satisfies the declared requirements.
+    // Sandboxed modules get their own copies of the bundled packages, since host objects would let them out.
+    if (options.sandbox && options.runtime && (options.runtime.cenc || options.runtime.b4a)) {
+        throw new InvalidOptionError("Sandboxed modules run against copies of the bundled cenc and b4a; a runtime cannot be supplied.", { option: "runtime" });
+    }
+    const runtime = await resolveRuntime(options.runtime);
+    checkRuntime(requires, runtime);
+
+    // The remote code of replaced leaves is cut out, and the local functions passed in its place
+    const { source, functions } = replaceLeaves(moduleCode, replacements);
+    const factory = await evaluateModule(source, options, file !== null);
+    return factory(runtime.cenc, runtime.b4a, ...injected, ...functions);
+}
+
+// Get the module's default export, either by importing it or by evaluating it in a sandbox without ambient globals.
+// Verified source is imported from a data URI, or, for modules loaded from files, from a private file copy,
+// so exactly the code that was checked is evaluated.
+async function evaluateModule(moduleCode, options, fromFile = false) {
+    try {
+        if (options.sandbox) {
+            return await evaluateInSandbox(moduleCode);
+        }
+        const module = fromFile ? await importModuleFile(moduleCode) : await import(toDataUri(moduleCode));
+        return module.default;
+    } catch (error) {
+        // Sandbox errors come from another realm, so match syntax errors by name
+        if (!error || error.name !== "SyntaxError") throw error;
+        // Locate the error in the module source when the parser finds it too
+        parseModule(moduleCode);
+        throw new ModuleSyntaxError(`Module source is not valid JavaScript: ${error.message}`, {}, { cause: error });
+    }
+}
+
+// Modules created before module hashing can only be verified after they are imported,
+// by re-hashing the loaded functions. Only use this for modules from a trusted source.
+async function importLegacyEncoding(dataUri, expectedHash, hasher, dependencies, options) {
     // Sort dependencies by their keys to ensure consistent argument order
     const sortedDependencies = Object.keys(dependencies).sort().map(key => dependencies[key]);
 
-    const module = await import(dataUri);
-    const loadedEncoder = module.default(cenc, b4a, ...sortedDependencies);
+    const factory = await evaluateModule(decodeModule(dataUri), options);
+    const loadedEncoder = factory(cenc, b4a, ...sortedDependencies);
 
     // Generate the hash using the same logic as during creation
     const computedHash = await generateHash(loadedEncoder, dependencies, hasher);
 
-    // Verify that the computed hash matches the expected hash
     if (computedHash !== expectedHash) {
-        throw new Error("Data integrity check failed: hash mismatch.");
+        throw new HashMismatchError("Data integrity check failed: hash mismatch.", { expected: expectedHash, computed: computedHash });
     }
 
-    return cenc.from(loadedEncoder);  // Return the verified encoder
+    return cenc.from(loadedEncoder);
 }
 
+// Re-create a module created under the legacy hashing so it can be loaded with the stricter scheme
+async function migrate(dataUri, expectedHash, hasherOrDeps = defaultHasher, dependencies = {}, options = {}) {
+    const { hasher, dependencies: deps } = splitArguments(hasherOrDeps, dependencies);
+    const encoder = await importEncodingFromUri(dataUri, expectedHash, hasher, deps, { legacy: true });
+    return create(encoder.name, encoder, deps, hasher, options);
+}
 
-
-
-
-export {importEncodingFromUri as load};
\ No newline at end of file
+export {importEncodingFromUri as load, migrate};
\ No newline at end of file
@@ -0,0 +1,127 @@
+// Versioned encoders: each version of a named lineage links to the hash of the version before it and carries
+// `upgrade` (and optionally `downgrade`) migrations from that version, serialized and hashed like the encoder functions.
+import cenc from "compact-encoding";
+import {create} from "./generateEncodingUri.js";
+import {load} from "./importEncodingFromUri.js";
+import {compileComposite, isComposite} from "./composite.js";
+import {defaultHasher, generateModuleHash} from "./hasher.js";
+import {decodeModule} from "./transport.js";
+import {readModule} from "./analyzer.js";
+import {HashMismatchError} from "./errors.js";
+
+// Create version N of a lineage. Versions start at 1; later versions need the previous version's hash and an upgrade migration.
+async function createVersion(lineageName, encoder, { version = 1, previous, upgrade, downgrade } = {}, dependencies = {}, hasher, options) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error("Lineage versions must be integers starting at 1.");
+    }
+    if (version > 1 && (!previous || typeof upgrade !== "function")) {
+        throw new Error(`Version ${version} of "${lineageName}" needs the previous version and an upgrade migration.`);
+    }
+
+    const previousHash = typeof previous === "string" ? previous : previous ? previous.hash : null;
+    const compiled = isComposite(encoder) ? compileComposite(encoder) : encoder;
+    const lineage = { name: lineageName, version, previous: version > 1 ? previousHash : null };
+
+    return create(lineageName, { ...compiled, upgrade, downgrade, lineage }, dependencies, hasher, options);
+}
+
+// Check that the links form one unbroken chain, hashing every module before any of them runs
+async function verifyChain(links, hasher) {
+    if (!Array.isArray(links) || links.length === 0) {
+        throw new Error("A lineage needs at least one version, given as { uri, hash } links.");
+    }
+
+    const entries = [];
+    for (const link of links) {
+        const moduleCode = decodeModule(link.uri || link.module);
+        const computed = await generateModuleHash(moduleCode, hasher);
+        if (computed !== link.hash) {
+            throw new HashMismatchError("Data integrity check failed: hash mismatch.", { expected: link.hash, computed });
+        }
+        const { lineage } = readModule(moduleCode, ["lineage"]);
+        if (!lineage) {
+            throw new Error(`Module ${link.hash} is not part of a lineage.`);
+        }
+        entries.push({ link, lineage });
+    }
+
+    entries.sort((a, b) => a.lineage.version - b.lineage.version);
+    entries.forEach(({ link, lineage }, i) => {
+        if (lineage.name !== entries[0].lineage.name) {
+            throw new Error(`Lineage chain mixes "${entries[0].lineage.name}" and "${lineage.name}".`);
+        }
+        if (lineage.version !== i + 1) {
+            throw new Error(`Lineage chain for "${lineage.name}" is missing version ${i + 1}.`);
+        }
+        if (i > 0 && lineage.previous !== entries[i - 1].link.hash) {
+            throw new Error(`Version ${lineage.version} of "${lineage.name}" does not link to version ${i}.`);
+        }
+    });
+
+    return entries.map(entry => entry.link);
+}
+
+// Load every version of a lineage, given as `{ uri, hash }` links, and return an encoder that writes the latest version
+// and decodes payloads from any version, upgrading them to the latest shape.
+async function loadLineage(links, hasherOrDeps = defaultHasher, dependencies = {}, options = {}) {
+    const hasher = typeof hasherOrDeps === "function" ? hasherOrDeps : defaultHasher;
+    const chain = await verifyChain(links, hasher);
+    // Every version is loaded with the same dependencies, though each may only use some of them
+    const versions = await Promise.all(chain.map(link => load(link.uri || link.module, link.hash, hasherOrDeps, dependencies, { ...options, sharedDependencies: true })));
+    const latest = versions[versions.length - 1];
+
+    // Encoder that writes payloads in the shape of `version`, downgrading from the latest shape
+    function at(version) {
+        const target = versions[version - 1];
+        if (!target) {
+            throw new Error(`Lineage "${latest.lineage.name}" has no version ${version}.`);
+        }
+
+        const downgrade = value => {
+            for (let i = versions.length - 1; i >= version; i--) {
+                if (typeof versions[i].downgrade !== "function") {
+                    throw new Error(`Version ${i + 1} of "${latest.lineage.name}" has no downgrade migration.`);
+                }
+                value = versions[i].downgrade(value);
+            }
+            return value;
+        };
+
+        return {
+            preencode(state, value) {
+                cenc.uint.preencode(state, version);
+                target.preencode(state, downgrade(value));
+            },
+            encode(state, value) {
+                cenc.uint.encode(state, version);
+                target.encode(state, downgrade(value));
+            },
+            decode
+        };
+    }
+
+    function decode(state) {
+        const version = cenc.uint.decode(state);
+        const source = versions[version - 1];
+        if (!source) {
+            throw new Error(`Payload was written by unknown version ${version} of "${latest.lineage.name}".`);
+        }
+
+        let value = source.decode(state);
+        for (let i = version; i < versions.length; i++) {
+            value = versions[i].upgrade(value);
+        }
+        return value;
+    }
+
+    return {
+        ...at(versions.length),
+        at,
+        name: latest.lineage.name,
+        version: versions.length,
+        hash: latest.hash,
+        versions
+    };
+}
+
+export {createVersion, loadLineage};
@@ -0,0 +1,64 @@
+// Manifests: descriptive metadata embedded in a module as plain data, covered by its hash
+// and readable without running any encoder code
+import {classifyDependencies} from "./dependencies.js";
+import {readModule} from "./analyzer.js";
+import {decodeModule} from "./transport.js";
+import {moduleFile, readModuleFile} from "./files.js";
+import {defaultHasher, generateModuleHash} from "./hasher.js";
+import {HashMismatchError} from "./errors.js";
+
+// JSON values only, so the manifest reads back exactly as it was written
+function isPlainData(value) {
+    if (value === null || typeof value === "string" || typeof value === "boolean") return true;
+    if (typeof value === "number") return Number.isFinite(value);
+    if (Array.isArray(value)) return value.every(isPlainData);
+    if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.values(value).every(isPlainData);
+    }
+    return false;
+}
+
+// Complete a manifest passed to `create` with the dependency kinds and runtime the module declares
+export function buildManifest(manifest, dependencies, requires) {
+    if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+        throw new Error("A manifest must be an object.");
+    }
+
+    const { created, ...rest } = manifest;
+    const result = { ...rest };
+    if (created !== undefined) {
+        result.created = created instanceof Date ? created.toISOString() : created;
+    }
+    if (!isPlainData(result)) {
+        throw new Error("Manifest fields, including examples, must be JSON data.");
+    }
+
+    const { parameters, values, slots } = classifyDependencies(dependencies);
+    const kinds = {};
+    for (const key of parameters) kinds[key] = slots[key] ? "object" : "function";
+    for (const key of Object.keys(values)) kinds[key] = "value";
+    result.dependencies = Object.keys(kinds).sort().map(name => ({ name, kind: kinds[name] }));
+    result.runtime = requires;
+
+    return result;
+}
+
+// Read a module's manifest, with its name and hash, without running it. Modules without one give `null`.
+// The hash is recomputed, so a manifest is only returned for a module that matches the hash it embeds,
+// and, when `hash` is given, the hash the caller expects.
+async function readManifest(module, { hash: expected, hasher = defaultHasher } = {}) {
+    const file = moduleFile(module);
+    const moduleCode = decodeModule(file ? await readModuleFile(file) : module);
+    const { manifest, name, hash } = readModule(moduleCode, ["manifest", "name", "hash"]);
+
+    const computed = await generateModuleHash(moduleCode, hasher);
+    if (computed !== hash) {
+        throw new HashMismatchError("Data integrity check failed: the module does not match the hash it embeds.", { expected: hash, computed });
+    }
+    if (expected !== undefined && computed !== expected) {
+        throw new HashMismatchError("Data integrity check failed: hash mismatch.", { expected, computed });
+    }
+    return manifest ? { name, hash, ...manifest } : null;
+}
+
+export {readManifest};
@@ -0,0 +1,241 @@
+// Peer exchange: peers advertise the encoder hashes in their registry, request missing ones by hash and receive
+// the module source. A module is only loaded once the caller approves it, by hash, by signature or from a callback,
+// and then with the usual integrity (and, when configured, signature) checks before it is added to the registry.
+// Messages are compact-encoding frames over any `{ readable, writable }` stream pair.
+import cenc from "compact-encoding";
+import {bundleEncoding, decodeModule} from "./transport.js";
+import {toDataUri} from "./toDataUri.js";
+import {load} from "./importEncodingFromUri.js";
+import {encodeStream, decodeStream} from "./stream.js";
+import {UntrustedModuleError} from "./errors.js";
+
+const HAVE = 0;
+const WANT = 1;
+const MODULE = 2;
+const MISSING = 3;
+
+const hashes = cenc.array(cenc.string);
+
+// Optional strings travel as empty strings
+const optionalString = {
+    preencode(state, value) { cenc.string.preencode(state, value || ""); },
+    encode(state, value) { cenc.string.encode(state, value || ""); },
+    decode(state) { return cenc.string.decode(state) || undefined; }
+};
+
+const moduleMessage = {
+    preencode(state, m) {
+        cenc.string.preencode(state, m.hash);
+        cenc.string.preencode(state, m.name);
+        cenc.string.preencode(state, m.version);
+        bundleEncoding.preencode(state, { source: m.source });
+        optionalString.preencode(state, m.signature);
+        optionalString.preencode(state, m.publicKey);
+    },
+    encode(state, m) {
+        cenc.string.encode(state, m.hash);
+        cenc.string.encode(state, m.name);
+        cenc.string.encode(state, m.version);
+        bundleEncoding.encode(state, { source: m.source });
+        optionalString.encode(state, m.signature);
+        optionalString.encode(state, m.publicKey);
+    },
+    decode(state) {
+        return {
+            hash: cenc.string.decode(state),
+            name: cenc.string.decode(state),
+            version: cenc.string.decode(state),
+            source: bundleEncoding.decode(state).source,
+            signature: optionalString.decode(state),
+            publicKey: optionalString.decode(state)
+        };
+    }
+};
+
+const bodies = {
+    [HAVE]: hashes,
+    [WANT]: hashes,
+    [MODULE]: moduleMessage,
+    [MISSING]: cenc.string
+};
+
+// A message is its type followed by the body for that type
+export const messageEncoding = {
+    preencode(state, message) {
+        cenc.uint.preencode(state, message.type);
+        bodies[message.type].preencode(state, message.body);
+    },
+    encode(state, message) {
+        cenc.uint.encode(state, message.type);
+        bodies[message.type].encode(state, message.body);
+    },
+    decode(state) {
+        const type = cenc.uint.decode(state);
+        if (!bodies[type]) {
+            throw new Error(`Unknown peer message type ${type}.`);
+        }
+        return { type, body: bodies[type].decode(state) };
+    }
+};
+
+// Start exchanging encoders with a peer over `stream`, a `{ readable, writable }` pair carrying bytes.
+// Received modules are approved by `approve(module)` when it is given, and otherwise by `trustedHashes`
+// or, with `loadOptions.trustedKeys`, by the signature `load` checks.
+function createPeer(stream, { registry, hasher, loadOptions = {}, trustedHashes = [], approve } = {}) {
+    if (!registry) {
+        throw new Error("A peer needs a registry to serve and store encoders.");
+    }
+    const trusted = new Set(trustedHashes);
+
+    const remote = new Set();
+    const pending = new Map();  // hash -> { resolve, reject, dependencies, shared }
+    let closed = null;
+
+    const outgoing = encodeStream(messageEncoding);
+    const writer = outgoing.writable.getWriter();
+    const piping = outgoing.readable.pipeTo(stream.writable).catch(() => {});
+    const send = message => writer.write(message);
+
+    let announced;
+    const ready = new Promise(resolve => { announced = resolve; });
+
+    function fail(error) {
+        if (closed) return;
+        closed = error;
+        for (const request of pending.values()) request.reject(error);
+        pending.clear();
+        announced();
+    }
+
+    async function receiveModule(message) {
+        const request = pending.get(message.hash);
+        if (!request) return;  // Unrequested modules are ignored
+        pending.delete(message.hash);
+
+        try {
+            // Nothing the peer sent is run or registered before the caller approves it
+            const { hash, name, version, source, signature, publicKey } = message;
+            const approved = approve
+                ? await approve({ hash, name, version, source, signature, publicKey })
+                : trusted.has(hash) || Boolean(loadOptions.trustedKeys);
+            if (!approved) {
+                throw new UntrustedModuleError(
+                    `Peer sent encoder ${hash} as "${name}" version ${version}, which has not been approved; pass approve, trustedHashes or loadOptions.trustedKeys.`,
+                    { hash }
+                );
+            }
+
+            // Verified against the hash we asked for, not the one the peer claims
+            const uri = toDataUri(decodeModule(source));
+            const options = { ...loadOptions, signature, publicKey, sharedDependencies: request.shared };
+            const encoder = await load(uri, hash, hasher, request.dependencies, options);
+            if (encoder.name && encoder.name !== name) {
+                throw new Error(`Peer sent encoder "${encoder.name}" as "${name}".`);
+            }
+            await registry.add(name, version, { uri, hash, signature, publicKey });
+            request.resolve(encoder);
+        } catch (error) {
+            request.reject(error);
+        }
+    }
+
+    async function receive(message) {
+        switch (message.type) {
+            case HAVE:
+                message.body.forEach(hash => remote.add(hash));
+                announced();
+                break;
+            case WANT:
+                for (const hash of message.body) {
+                    const record = await registry.getByHash(hash);
+                    await send(record
+                        ? { type: MODULE, body: { ...record, source: decodeModule(record.uri) } }
+                        : { type: MISSING, body: hash });
+                }
+                break;
+            case MODULE:
+                await receiveModule(message.body);
+                break;
+            case MISSING: {
+                const request = pending.get(message.body);
+                pending.delete(message.body);
+                if (request) request.reject(new Error(`Peer does not have encoder ${message.body}.`));
+                break;
+            }
+        }
+    }
+
+    const abort = new AbortController();
+    const reading = (async () => {
+        try {
+            for await (const message of stream.readable.pipeThrough(decodeStream(messageEncoding), { signal: abort.signal })) {
+                await receive(message);
+            }
+            fail(new Error("Peer closed the connection."));
+        } catch (error) {
+            fail(error);
+        }
+    })();
+
+    // Tell the peer which encoders we hold
+    async function announce() {
+        const records = await registry.list();
+        await send({ type: HAVE, body: records.map(record => record.hash) });
+    }
+
+    // Request an encoder by hash. `shared` dependencies are meant for several encoders, so each takes the ones it declares.
+    function request(hash, dependencies, shared) {
+        if (closed) return Promise.reject(closed);
+        if (!pending.has(hash)) {
+            let resolve, reject;
+            const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+            pending.set(hash, { resolve, reject, dependencies, shared, promise });
+            send({ type: WANT, body: [hash] }).catch(fail);
+        }
+        return pending.get(hash).promise;
+    }
+
+    // Request an encoder by hash; resolves with the loaded encoder once it is verified and registered
+    function fetch(hash, dependencies = {}) {
+        return request(hash, dependencies, false);
+    }
+
+    // Fetch every advertised encoder that isn't in the registry yet, collecting the encoders and errors by hash.
+    // Each module succeeds or fails on its own, so an unapproved module or a name and version already
+    // registered with another hash is reported in `errors` while the rest are synced.
+    async function sync(dependencies) {
+        const missing = [];
+        for (const hash of remote) {
+            if (!await registry.getByHash(hash)) missing.push(hash);
+        }
+
+        const results = await Promise.allSettled(missing.map(hash => request(hash, dependencies, true)));
+        const encoders = {};
+        const errors = {};
+        results.forEach((result, i) => {
+            if (result.status === "fulfilled") encoders[missing[i]] = result.value;
+            else errors[missing[i]] = result.reason;
+        });
+        return { encoders, errors };
+    }
+
+    async function close() {
+        fail(new Error("Peer connection closed."));
+        abort.abort();
+        await writer.close().catch(() => {});
+        await Promise.all([piping, reading]);
+    }
+
+    announce().catch(fail);
+
+    return {
+        remote,
+        ready,
+        announce,
+        fetch,
+        sync,
+        close
+    };
+}
+
+export {createPeer};
@@ -0,0 +1,164 @@
+import {load} from "./importEncodingFromUri.js";
+import {memoryStorage} from "./storage.js";
+
+// Compare dotted version strings numerically where possible, e.g. "1.10.0" > "1.9.2"
+export function compareVersions(a, b) {
+    const partsA = String(a).split(".");
+    const partsB = String(b).split(".");
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const partA = partsA[i] ?? "0";
+        const partB = partsB[i] ?? "0";
+        const diff = /^\d+$/.test(partA) && /^\d+$/.test(partB)
+            ? Number(partA) - Number(partB)
+            : partA.localeCompare(partB);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    return 0;
+}
+
+const recordKey = (name, version) => `${name}@${version}`;
+
+// Keep created encoders by name and version, look them up by hash, and cache loaded encoders
+function createRegistry({ storage = memoryStorage(), hasher, loadOptions = {} } = {}) {
+    // Loads without dependencies are shared by hash; loads with dependencies are cached per dependencies object.
+    // Evicting bumps a hash's generation, which invalidates its entries in every cache.
+    const loaded = new Map();
+    const loadedWithDependencies = new WeakMap();
+    const generations = new Map();
+
+    // Records are stored by name and version; the same hash may be registered under several of them.
+    // The hash index maps each hash to the storage keys of its records, and is rebuilt from storage when
+    // a lookup misses, since other registries may share the storage.
+    let hashIndex = null;
+
+    async function entries() {
+        const keys = await storage.keys();
+        const records = await Promise.all(keys.map(key => storage.get(key)));
+        return keys.map((key, i) => ({ key, record: records[i] })).filter(entry => entry.record);
+    }
+
+    async function rebuildIndex() {
+        hashIndex = new Map();
+        for (const { key, record } of await entries()) indexRecord(record.hash, key);
+        return hashIndex;
+    }
+
+    function indexRecord(hash, key) {
+        if (!hashIndex.has(hash)) hashIndex.set(hash, new Set());
+        hashIndex.get(hash).add(key);
+    }
+
+    async function keysForHash(hash) {
+        if (!hashIndex || !hashIndex.has(hash)) await rebuildIndex();
+        return [...(hashIndex.get(hash) || [])];
+    }
+
+    async function list() {
+        return (await entries())
+            .map(entry => entry.record)
+            .sort((a, b) => a.name.localeCompare(b.name) || compareVersions(a.version, b.version));
+    }
+
+    async function add(name, version, { uri, hash, signature, publicKey }) {
+        if (!name || version === undefined || !uri || !hash) {
+            throw new Error("Registering an encoder requires a name, version, uri and hash.");
+        }
+
+        const existing = await get(name, version);
+        if (existing && existing.hash !== hash) {
+            throw new Error(`Encoder "${name}" version ${version} is already registered with a different hash.`);
+        }
+
+        const record = { name, version: String(version), uri, hash };
+        if (signature) Object.assign(record, { signature, publicKey });
+        const key = recordKey(name, record.version);
+        await storage.put(key, record);
+        if (!hashIndex) await rebuildIndex();
+        indexRecord(hash, key);
+        return record;
+    }
+
+    // Look up an encoder by name, returning the latest version when none is given
+    async function get(name, version) {
+        const versions = (await list()).filter(record => record.name === name);
+        if (version === undefined) return versions[versions.length - 1];
+        return versions.find(record => record.version === String(version));
+    }
+
+    // Look up an encoder by hash. When the hash is registered under several names or versions, the first
+    // in name and version order is returned.
+    async function getByHash(hash) {
+        const records = await Promise.all((await keysForHash(hash)).map(key => storage.get(key)));
+        return records
+            .filter(record => record && record.hash === hash)
+            .sort((a, b) => a.name.localeCompare(b.name) || compareVersions(a.version, b.version))[0];
+    }
+
+    // Delete every record of a hash
+    async function remove(hash) {
+        evict(hash);
+        const keys = await keysForHash(hash);
+        await Promise.all(keys.map(key => storage.delete(key)));
+        hashIndex.delete(hash);
+    }
+
+    // Resolve a hash or `{ name, version }` reference to a record
+    async function resolve(ref) {
+        const record = typeof ref === "string" ? await getByHash(ref) : await get(ref.name, ref.version);
+        if (!record) {
+            const label = typeof ref === "string" ? ref : `${ref.name}${ref.version === undefined ? "" : `@${ref.version}`}`;
+            throw new Error(`Encoder "${label}" is not registered.`);
+        }
+        return record;
+    }
+
+    async function loadRecord(ref, dependencies) {
+        const record = await resolve(ref);
+        const cache = dependencies ? cacheFor(dependencies) : loaded;
+        const key = `${record.hash}:${generations.get(record.hash) || 0}`;
+
+        if (!cache.has(key)) {
+            const options = { ...loadOptions, signature: record.signature, publicKey: record.publicKey };
+            const pending = load(record.uri, record.hash, hasher, dependencies || {}, options).then(encoder => {
+                // The name baked into the module has to match the name it was registered under
+                if (encoder.name && encoder.name !== record.name) {
+                    throw new Error(`Encoder registered as "${record.name}" declares the name "${encoder.name}".`);
+                }
+                return encoder;
+            });
+            cache.set(key, pending);
+            // Failed loads are not cached so they can be retried
+            pending.catch(() => cache.delete(key));
+        }
+
+        return cache.get(key);
+    }
+
+    function cacheFor(dependencies) {
+        if (!loadedWithDependencies.has(dependencies)) {
+            loadedWithDependencies.set(dependencies, new Map());
+        }
+        return loadedWithDependencies.get(dependencies);
+    }
+
+    // Drop a loaded encoder from the cache so the next load imports it again
+    function evict(hash) {
+        generations.set(hash, (generations.get(hash) || 0) + 1);
+        for (const key of loaded.keys()) {
+            if (key.startsWith(`${hash}:`)) loaded.delete(key);
+        }
+    }
+
+    return {
+        add,
+        get,
+        getByHash,
+        list,
+        remove,
+        load: loadRecord,
+        evict
+    };
+}
+
+export {createRegistry};
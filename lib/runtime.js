@@ -0,0 +1,198 @@
+// Runtimes: the `cenc` and `b4a` a module is called with. Modules declare the runtime APIs they use, and optionally
+// the version ranges they need, and `load` refuses runtimes that don't satisfy them.
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {InvalidOptionError, RuntimeMismatchError} from "./errors.js";
+
+export const runtimeNames = ["cenc", "b4a"];
+const packages = { cenc: "compact-encoding", b4a: "b4a" };
+
+let bundled = null;
+
+// The runtime this package was installed with. Its versions are read from the packages where that's possible (Node)
+export async function bundledRuntime() {
+    if (!bundled) {
+        const versions = {};
+        try {
+            const { createRequire } = await import("node:module");
+            const require = createRequire(import.meta.url);
+            for (const name of runtimeNames) versions[name] = require(`${packages[name]}/package.json`).version;
+        } catch {
+            // Without Node's resolver the bundled versions are unknown
+        }
+        bundled = { cenc, b4a, versions };
+    }
+    return bundled;
+}
+
+// Fill in the parts of a supplied runtime that are missing from the bundled one
+export async function resolveRuntime(runtime = {}) {
+    const fallback = await bundledRuntime();
+    const resolved = { versions: {} };
+    for (const name of runtimeNames) {
+        resolved[name] = runtime[name] || fallback[name];
+        resolved.versions[name] = runtime[name] ? runtime.versions && runtime.versions[name] : fallback.versions[name];
+    }
+    return resolved;
+}
+
+// Build the `requires` declaration from the APIs a module uses and the version ranges asked for at create
+export function runtimeRequirements(apis, ranges = {}) {
+    const requires = {};
+    for (const name of runtimeNames) {
+        if (!apis[name].length && !ranges[name]) continue;
+        requires[name] = { apis: apis[name] };
+        if (ranges[name]) {
+            parseRange(ranges[name]);  // Reject malformed ranges when the module is created
+            requires[name].version = ranges[name];
+        }
+    }
+    return requires;
+}
+
+// Refuse a runtime that lacks an API the module uses or whose version is outside the declared range
+export function checkRuntime(requires = {}, runtime) {
+    for (const name of Object.keys(requires)) {
+        const { apis = [], version } = requires[name];
+        const provided = runtime[name];
+
+        const missing = apis.filter(api => !provided || provided[api] === undefined);
+        if (missing.length) {
+            throw new RuntimeMismatchError(`Runtime does not satisfy the module: ${name} is missing ${missing.join(", ")}.`, { runtime: name, missing });
+        }
+        if (version) {
+            const actual = runtime.versions[name];
+            if (!actual) {
+                throw new RuntimeMismatchError(
+                    `Runtime does not satisfy the module: it requires ${name} ${version}, and the runtime declares no ${name} version.`,
+                    { runtime: name, required: version }
+                );
+            }
+            let within;
+            try {
+                within = satisfies(actual, version);
+            } catch (error) {
+                if (error instanceof InvalidOptionError) throw error;
+                throw new RuntimeMismatchError(`Runtime does not satisfy the module: ${error.message.replace(/\.$/, "")} for ${name}.`, { runtime: name, required: version, actual });
+            }
+            if (!within) {
+                throw new RuntimeMismatchError(`Runtime does not satisfy the module: ${name} ${actual} is outside ${version}.`, { runtime: name, required: version, actual });
+            }
+        }
+    }
+}
+
+// A small semver subset: comparators (`>=1.2.0 <2`, with or without a space after the operator), caret and tilde
+// ranges, x-ranges, hyphen ranges (`1.2 - 2.3.4`) and `||`. Anything else, including prerelease versions in a range,
+// is rejected rather than guessed at.
+function parseVersion(text) {
+    const match = /^v?(\d+|[x*])(?:\.(\d+|[x*]))?(?:\.(\d+|[x*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/i.exec(text.trim());
+    if (!match) throw new Error(`Invalid version "${text}".`);
+    const parts = match.slice(1, 4).map(part => part === undefined || /^[x*]$/i.test(part) ? null : Number(part));
+    // Parts after a wildcard are wildcards too
+    const known = parts.indexOf(null) === -1 ? 3 : parts.indexOf(null);
+    return { parts: parts.map((part, i) => i < known ? part : 0), known, prerelease: match[4] || null };
+}
+
+function compare(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+// The exclusive upper bound of a partial version, e.g. 1.2 -> 1.3.0
+function bump(parts, index) {
+    return parts.map((part, i) => i < index ? part : i === index ? part + 1 : 0);
+}
+
+// The version a comparator compares against, which must be a release
+function rangeVersion(text) {
+    const version = parseVersion(text);
+    if (version.prerelease) {
+        throw new Error(`Prerelease versions such as "${text}" are not supported in ranges.`);
+    }
+    return version;
+}
+
+function comparatorsFor(token) {
+    const [, operator, rest] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(token);
+    if (rest === "") throw new Error(`Operator "${operator}" is missing its version.`);
+    if (!operator && (rest === "*" || /^x$/i.test(rest))) return [];
+
+    const { parts, known } = rangeVersion(rest);
+    if (known === 0) {
+        // `>=*` and the like: only `<*` and `>*` exclude everything, and those are more likely mistakes
+        if (operator === "<" || operator === ">") throw new Error(`Range "${token}" matches no version.`);
+        return [];
+    }
+    switch (operator) {
+        case "^": {
+            const index = parts[0] > 0 || known <= 1 ? 0 : parts[1] > 0 || known <= 2 ? 1 : 2;
+            return [[">=", parts], ["<", bump(parts, index)]];
+        }
+        case "~":
+            return [[">=", parts], ["<", bump(parts, known <= 1 ? 0 : 1)]];
+        case ">":
+            return known < 3 ? [[">=", bump(parts, known - 1)]] : [[">", parts]];
+        case "<=":
+            return known < 3 ? [["<", bump(parts, known - 1)]] : [["<=", parts]];
+        case ">=":
+        case "<":
+            return [[operator, parts]];
+        default:
+            return known < 3 ? [[">=", parts], ["<", bump(parts, known - 1)]] : [["=", parts]];
+    }
+}
+
+// `low - high` includes both ends, with a partial upper end covering every version it names
+function hyphenRange(low, high) {
+    const lower = rangeVersion(low);
+    const upper = rangeVersion(high);
+    return [
+        ...(lower.known === 0 ? [] : [[">=", lower.parts]]),
+        ...(upper.known === 0 ? [] : upper.known < 3 ? [["<", bump(upper.parts, upper.known - 1)]] : [["<=", upper.parts]])
+    ];
+}
+
+function parseComparatorSet(set) {
+    // Operators may be separated from their version by spaces
+    const tokens = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1").split(/\s+/).filter(Boolean);
+    if (tokens.length === 3 && tokens[1] === "-") {
+        if (/^[\^~<>=]/.test(tokens[0]) || /^[\^~<>=]/.test(tokens[2])) {
+            throw new Error("Hyphen ranges take plain versions on both sides.");
+        }
+        return hyphenRange(tokens[0], tokens[2]);
+    }
+    if (tokens.includes("-")) throw new Error("Hyphen ranges are written as \"<version> - <version>\" on their own.");
+    return tokens.flatMap(comparatorsFor);
+}
+
+function parseRange(range) {
+    if (typeof range !== "string") {
+        throw new InvalidOptionError(`Invalid version range ${JSON.stringify(range)}: expected a string.`, { option: "runtime" });
+    }
+    try {
+        return range.split("||").map(parseComparatorSet);
+    } catch (error) {
+        throw new InvalidOptionError(`Invalid version range "${range}": ${error.message}`, { option: "runtime" });
+    }
+}
+
+// Ranges can't name prereleases, so a prerelease version is never within one
+export function satisfies(version, range) {
+    const { parts, prerelease } = parseVersion(version);
+    const sets = parseRange(range);
+    if (prerelease) return false;
+    const test = ([operator, bound]) => {
+        const diff = compare(parts, bound);
+        switch (operator) {
+            case ">=": return diff >= 0;
+            case ">": return diff > 0;
+            case "<=": return diff <= 0;
+            case "<": return diff < 0;
+            default: return diff === 0;
+        }
+    };
+    return sets.some(set => set.every(test));
+}
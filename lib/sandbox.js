@@ -0,0 +1,405 @@
+// Evaluate a generated module inside a fresh node:vm context, so encoder code only sees the
+// ECMAScript built-ins plus what is passed to the module function: `cenc`, `b4a` and the declared dependencies.
+// Host globals such as `process`, `fetch` or `Buffer` are not defined, `globalThis` is shadowed,
+// `eval`/`Function` are disabled and dynamic `import()` rejects.
+// ShadowRealm cannot be used here because only primitives and functions can cross its boundary.
+//
+// No host object is ever handed to encoder code, since any of them leads back to the host `Function` through
+// `constructor`. `cenc` and `b4a` are copies evaluated inside the context from the bundled packages, data crosses
+// the boundary as copies (with arguments such as `state` synchronized back after each call), functions cross as
+// wrappers that do the same, and errors are recreated on the other side. Sandbox objects are only read through
+// helpers created inside the context, so whatever the engine creates while running encoder code, such as the
+// argument list of a proxy trap, belongs to the sandbox realm too.
+import b4a from "b4a";
+
+const errorTypes = ["Error", "TypeError", "RangeError", "SyntaxError", "ReferenceError", "EvalError", "URIError"];
+const typedArrayTypes = [
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array", "Uint32Array",
+    "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"
+];
+
+// Read only internal slots, so no code from the sandbox runs while the host inspects its values
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+const typedArrayName = Object.getOwnPropertyDescriptor(TypedArray.prototype, Symbol.toStringTag).get;
+const typedArrayLength = Object.getOwnPropertyDescriptor(TypedArray.prototype, "length").get;
+const setTypedArray = TypedArray.prototype.set;
+const getTime = Date.prototype.getTime;
+const mapForEach = Map.prototype.forEach;
+const mapSet = Map.prototype.set;
+const setForEach = Set.prototype.forEach;
+const setAdd = Set.prototype.add;
+
+// Helpers evaluated inside the context before any module code, holding the intrinsics they need
+const helpersSource = `(function () {
+    "use strict";
+    const { apply, get, ownKeys, getOwnPropertyDescriptor, defineProperty } = Reflect;
+    const isArray = Array.isArray;
+    const stringify = JSON.stringify;
+    const SandboxPromise = Promise;
+    const then = Promise.prototype.then;
+    const intrinsics = { Object, Array, Date, Map, Set, Promise, ArrayBuffer };
+    for (const name of ${JSON.stringify([...errorTypes, ...typedArrayTypes])}) intrinsics[name] = globalThis[name];
+    return {
+        intrinsics,
+        apply(fn, self, args) { return apply(fn, self, args); },
+        get(object, key) { return get(object, key); },
+        // Enumerable string keys, as JSON so the host never reads a sandbox array
+        keys(object) {
+            const all = ownKeys(object);
+            const keys = [];
+            let count = 0;
+            for (let i = 0; i < all.length; i++) {
+                const descriptor = typeof all[i] === "string" ? getOwnPropertyDescriptor(object, all[i]) : undefined;
+                if (descriptor && descriptor.enumerable) {
+                    defineProperty(keys, count++, { value: all[i], writable: true, enumerable: true, configurable: true });
+                }
+            }
+            return apply(stringify, undefined, [keys]);
+        },
+        list(...items) { return items; },
+        isArray(value) { return isArray(value); },
+        then(promise, onFulfilled, onRejected) { apply(then, promise, [onFulfilled, onRejected]); },
+        deferred() {
+            let resolve, reject;
+            const promise = new SandboxPromise((res, rej) => { resolve = res; reject = rej; });
+            return { promise, resolve, reject };
+        },
+        // Sandbox functions standing in for host functions, so only the call reaches the host
+        wrap(call) { return function () { return call(this, arguments); }; }
+    };
+})()`;
+
+// The files of the bundled compact-encoding and the browser build of b4a, which only uses ECMAScript built-ins,
+// with the module each of their require calls resolves to. They are read once.
+let runtimeFiles = null;
+const runtimeModules = () => runtimeFiles || (runtimeFiles = readRuntimeModules());
+
+async function readRuntimeModules() {
+    const [{createRequire}, fs, path] = await Promise.all([import("node:module"), import("node:fs/promises"), import("node:path")]);
+    const require = createRequire(import.meta.url);
+    const roots = {
+        "compact-encoding": require.resolve("compact-encoding"),
+        "b4a": path.join(path.dirname(require.resolve("b4a")), "browser.js")
+    };
+
+    const modules = {};
+    const visit = async file => {
+        if (modules[file]) return;
+        modules[file] = { source: await fs.readFile(file, "utf8"), requires: {} };
+        for (const [, request] of modules[file].source.matchAll(/require\(['"]([^'"]+)['"]\)/g)) {
+            let resolved;
+            if (roots[request]) {
+                resolved = roots[request];
+            } else if (request.startsWith(".")) {
+                resolved = path.resolve(path.dirname(file), request);
+                if (!resolved.endsWith(".js")) resolved += ".js";
+            } else {
+                throw new Error(`Sandboxed runtime cannot resolve "${request}".`);
+            }
+            modules[file].requires[request] = resolved;
+            await visit(resolved);
+        }
+    };
+    await Promise.all(Object.values(roots).map(visit));
+    return { roots, modules };
+}
+
+// Evaluate the runtime inside the context with a small CommonJS loader, giving realm-local `cenc` and `b4a`
+async function loadRuntime(vm, context) {
+    const { roots, modules } = await runtimeModules();
+    const factories = Object.keys(modules)
+        .map(file => `${JSON.stringify(file)}: function (exports, require, module) {\n${modules[file].source}\n}`)
+        .join(",\n");
+    const requires = Object.fromEntries(Object.keys(modules).map(file => [file, modules[file].requires]));
+
+    return new vm.Script(`(function () {
+    const factories = {\n${factories}\n};
+    const requires = ${JSON.stringify(requires)};
+    const cache = {};
+    function load(file) {
+        if (cache[file]) return cache[file].exports;
+        const module = cache[file] = { exports: {} };
+        factories[file].call(module.exports, module.exports, request => load(requires[file][request]), module);
+        return module.exports;
+    }
+    return { cenc: load(${JSON.stringify(roots["compact-encoding"])}), b4a: load(${JSON.stringify(roots.b4a)}) };
+})()`, { filename: "dynamic-encoder-sandbox-runtime.js" }).runInContext(context);
+}
+
+const isPlainObject = value => {
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+// Convert values between the host and the sandbox
+function createBoundary(helpers, types) {
+    const S = helpers.intrinsics;
+    const toHostCache = new WeakMap();     // sandbox functions and live objects -> their host stand-ins
+    const toSandboxCache = new WeakMap();  // host functions and live objects -> their sandbox stand-ins
+    const hostOriginals = new WeakMap();   // sandbox stand-ins -> the host values they stand for
+    const sandboxOriginals = new WeakMap(); // host stand-ins -> the sandbox values they stand for
+
+    const remember = (host, sandbox, original) => {
+        if (original === "host") {
+            toSandboxCache.set(host, sandbox);
+            hostOriginals.set(sandbox, host);
+        } else {
+            toHostCache.set(sandbox, host);
+            sandboxOriginals.set(host, sandbox);
+        }
+        return original === "host" ? sandbox : host;
+    };
+
+    function toHostError(error) {
+        if (error === null || (typeof error !== "object" && typeof error !== "function")) return error;
+        if (hostOriginals.has(error)) return hostOriginals.get(error);
+        const name = helpers.get(error, "name");
+        const message = helpers.get(error, "message");
+        const code = helpers.get(error, "code");
+        const Type = errorTypes.includes(name) ? globalThis[name] : Error;
+        const copy = new Type(typeof message === "string" ? message : "Sandboxed code threw a non-error value.");
+        if (typeof code === "string") copy.code = code;
+        return copy;
+    }
+
+    function toSandboxError(error) {
+        if (error === null || (typeof error !== "object" && typeof error !== "function")) return error;
+        if (sandboxOriginals.has(error)) return sandboxOriginals.get(error);
+        const name = typeof error.name === "string" && errorTypes.includes(error.name) ? error.name : "Error";
+        const copy = new S[name](typeof error.message === "string" ? error.message : String(error));
+        if (typeof error.code === "string") Object.defineProperty(copy, "code", { value: error.code, writable: true, configurable: true });
+        return copy;
+    }
+
+    // Host values become sandbox values. `memo` maps each host value to its copy, and `copies` the other way,
+    // so arguments can be synchronized back after a call.
+    function toSandbox(value, memo = new Map(), copies = new Map()) {
+        if (value === null || (typeof value !== "object" && typeof value !== "function")) return value;
+        if (sandboxOriginals.has(value)) return sandboxOriginals.get(value);
+        if (toSandboxCache.has(value)) return toSandboxCache.get(value);
+        if (memo.has(value)) return memo.get(value);
+
+        const copied = copy => {
+            memo.set(value, copy);
+            copies.set(copy, value);
+            return copy;
+        };
+
+        if (typeof value === "function") {
+            return remember(value, helpers.wrap((self, args) => callHost(value, self, args)), "host");
+        }
+        if (types.isNativeError(value)) return toSandboxError(value);
+        if (types.isPromise(value)) {
+            const { promise, resolve, reject } = helpers.deferred();
+            value.then(result => resolve(toSandbox(result)), error => reject(toSandboxError(error)));
+            return promise;
+        }
+        if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+            const name = b4a.isBuffer(value) ? "Uint8Array" : value[Symbol.toStringTag];
+            const copy = copied(new S[name](value.length));
+            Reflect.apply(setTypedArray, copy, [value]);
+            return copy;
+        }
+        if (types.isArrayBuffer(value)) {
+            const copy = copied(new S.ArrayBuffer(value.byteLength));
+            new Uint8Array(copy).set(new Uint8Array(value));
+            return copy;
+        }
+        if (types.isDate(value)) return copied(new S.Date(value.getTime()));
+        if (types.isMap(value)) {
+            const copy = copied(new S.Map());
+            value.forEach((item, key) => Reflect.apply(mapSet, copy, [toSandbox(key, memo, copies), toSandbox(item, memo, copies)]));
+            return copy;
+        }
+        if (types.isSet(value)) {
+            const copy = copied(new S.Set());
+            value.forEach(item => Reflect.apply(setAdd, copy, [toSandbox(item, memo, copies)]));
+            return copy;
+        }
+        if (Array.isArray(value) || isPlainObject(value)) {
+            const copy = copied(Array.isArray(value) ? new S.Array(value.length) : new S.Object());
+            for (const key of Object.keys(value)) {
+                Object.defineProperty(copy, key, { value: toSandbox(value[key], memo, copies), writable: true, enumerable: true, configurable: true });
+            }
+            return copy;
+        }
+        return remember(value, facade(value), "host");
+    }
+
+    // Live host objects, such as an injected client, are represented by an object whose methods call the original
+    // and whose other properties read it, in both cases through sandbox wrappers
+    function facade(object) {
+        const stand = new S.Object();
+        const seen = new Set(["constructor"]);
+        for (let current = object; current && current !== Object.prototype && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+            for (const key of Object.getOwnPropertyNames(current)) {
+                if (seen.has(key)) continue;
+                seen.add(key);
+                const descriptor = Object.getOwnPropertyDescriptor(current, key);
+                if (!descriptor.get && typeof descriptor.value === "function") {
+                    const method = descriptor.value;
+                    Object.defineProperty(stand, key, { value: helpers.wrap((self, args) => callHost(method, object, args)), enumerable: true });
+                } else {
+                    Object.defineProperty(stand, key, { get: helpers.wrap(() => guarded(() => toSandbox(object[key]))), enumerable: true });
+                }
+            }
+        }
+        return stand;
+    }
+
+    // Sandbox values become host values
+    function toHost(value, memo = new Map()) {
+        if (value === null || (typeof value !== "object" && typeof value !== "function")) return value;
+        if (hostOriginals.has(value)) return hostOriginals.get(value);
+        if (toHostCache.has(value)) return toHostCache.get(value);
+        if (memo.has(value)) return memo.get(value);
+        if (types.isProxy(value)) {
+            throw new TypeError("Sandboxed code cannot pass proxies out of the sandbox.");
+        }
+
+        if (typeof value === "function") {
+            return remember(function (...args) { return callSandbox(value, this, args); }, value, "sandbox");
+        }
+        if (types.isNativeError(value)) return toHostError(value);
+        if (types.isPromise(value)) {
+            return new Promise((resolve, reject) => {
+                helpers.then(value, toSandbox(result => resolve(toHost(result))), toSandbox(error => reject(toHostError(error))));
+            });
+        }
+        if (types.isTypedArray(value)) {
+            const name = Reflect.apply(typedArrayName, value, []);
+            const copy = new globalThis[name](Reflect.apply(typedArrayLength, value, []));
+            Reflect.apply(setTypedArray, copy, [value]);
+            memo.set(value, name === "Uint8Array" ? b4a.from(copy.buffer) : copy);
+            return memo.get(value);
+        }
+        if (types.isArrayBuffer(value)) {
+            const copy = new Uint8Array(value).slice().buffer;
+            memo.set(value, copy);
+            return copy;
+        }
+        if (types.isDate(value)) return new Date(Reflect.apply(getTime, value, []));
+        if (types.isMap(value)) {
+            const copy = new Map();
+            memo.set(value, copy);
+            Reflect.apply(mapForEach, value, [(item, key) => copy.set(toHost(key, memo), toHost(item, memo))]);
+            return copy;
+        }
+        if (types.isSet(value)) {
+            const copy = new Set();
+            memo.set(value, copy);
+            Reflect.apply(setForEach, value, [item => copy.add(toHost(item, memo))]);
+            return copy;
+        }
+
+        const keys = JSON.parse(helpers.keys(value));
+        const copy = helpers.isArray(value) ? [] : {};
+        memo.set(value, copy);
+        let live = false;
+        for (let i = 0; i < keys.length; i++) {
+            const item = helpers.get(value, keys[i]);
+            live = live || typeof item === "function";
+            copy[keys[i]] = toHost(item, memo);
+        }
+        // Objects with methods, such as the encoder itself, are the same object when they come back as `this`
+        if (live) remember(copy, value, "sandbox");
+        return copy;
+    }
+
+    // Copy what the sandbox changed in its copies of the arguments back into the host values
+    function synchronize(copies) {
+        for (const [copy, original] of copies) {
+            if (ArrayBuffer.isView(original)) {
+                if (types.isTypedArray(copy) && Reflect.apply(typedArrayLength, copy, []) === original.length) {
+                    Reflect.apply(setTypedArray, original, [copy]);
+                }
+            } else if (Array.isArray(original) || isPlainObject(original)) {
+                const keys = JSON.parse(helpers.keys(copy));
+                for (const key of Object.keys(original)) {
+                    if (!keys.includes(key)) delete original[key];
+                }
+                for (let i = 0; i < keys.length; i++) {
+                    const item = helpers.get(copy, keys[i]);
+                    const value = copies.has(item) ? copies.get(item) : toHost(item);
+                    if (original[keys[i]] !== value) original[keys[i]] = value;
+                }
+            }
+        }
+    }
+
+    // A host wrapper of a sandbox function was called
+    function callSandbox(fn, self, args) {
+        const memo = new Map();
+        const copies = new Map();
+        const sandboxArgs = helpers.list(...args.map(arg => toSandbox(arg, memo, copies)));
+        let result;
+        try {
+            result = helpers.apply(fn, toSandbox(self, memo, copies), sandboxArgs);
+        } catch (error) {
+            throw toHostError(error);
+        } finally {
+            synchronize(copies);
+        }
+        return toHost(result);
+    }
+
+    // Run host code for the sandbox, which only ever sees errors from its own realm
+    function guarded(run) {
+        try {
+            return run();
+        } catch (error) {
+            throw toSandboxError(error);
+        }
+    }
+
+    // A sandbox wrapper of a host function was called
+    function callHost(fn, self, args) {
+        return guarded(() => {
+            const length = Number(helpers.get(args, "length")) || 0;
+            const hostArgs = [];
+            for (let i = 0; i < length; i++) hostArgs.push(toHost(helpers.get(args, i)));
+            return toSandbox(Reflect.apply(fn, toHost(self), hostArgs));
+        });
+    }
+
+    return { toHost, toSandbox, toHostError };
+}
+
+export async function evaluateInSandbox(moduleCode) {
+    let vm, types;
+    try {
+        [vm, { types }] = await Promise.all([import("node:vm"), import("node:util")]);
+    } catch {
+        throw new Error("Sandboxed loading requires node:vm, which is not available in this environment.");
+    }
+
+    const exportPattern = /^\s*export default function/;
+    if (!exportPattern.test(moduleCode)) {
+        throw new Error("Sandboxed loading only supports modules generated by create.");
+    }
+
+    const context = vm.createContext({}, {
+        name: "dynamic-encoder sandbox",
+        codeGeneration: { strings: false, wasm: false }
+    });
+    const helpers = new vm.Script(helpersSource, { filename: "dynamic-encoder-sandbox-helpers.js" }).runInContext(context);
+    const runtime = await loadRuntime(vm, context);
+    const boundary = createBoundary(helpers, types);
+
+    // Module code is strict, so keep it strict once it becomes a script
+    const script = new vm.Script(
+        `(function (globalThis) {\n"use strict";\nreturn (${moduleCode.replace(exportPattern, "function")});\n})(undefined)`,
+        { filename: "dynamic-encoder-sandbox.js" }
+    );
+    const factory = script.runInContext(context);
+
+    // The module always runs against the sandbox's own cenc and b4a
+    return (cenc, b4a, ...dependencies) => {
+        const args = helpers.list(runtime.cenc, runtime.b4a, ...dependencies.map(dependency => boundary.toSandbox(dependency)));
+        try {
+            return boundary.toHost(helpers.apply(factory, undefined, args));
+        } catch (error) {
+            throw boundary.toHostError(error);
+        }
+    };
+}
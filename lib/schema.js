@@ -0,0 +1,44 @@
+import {compileComposite} from "./composite.js";
+import {create} from "./generateEncodingUri.js";
+
+// Turn a data-only schema into a composite description, rejecting anything that isn't plain data
+export function schemaToDescription(schema) {
+    if (typeof schema === "string") return schema;
+
+    if (!schema || typeof schema !== "object" || typeof schema.type !== "string") {
+        throw new Error("Schema entries must be primitive names or objects with a type.");
+    }
+
+    switch (schema.type) {
+        case "struct": {
+            if (!schema.fields || typeof schema.fields !== "object") {
+                throw new Error("Struct schemas must have a fields object.");
+            }
+            const fields = {};
+            for (const key of Object.keys(schema.fields)) {
+                fields[key] = schemaToDescription(schema.fields[key]);
+            }
+            return { type: "struct", fields };
+        }
+        case "array":
+        case "optional":
+            return { type: schema.type, item: schemaToDescription(schema.item) };
+        case "enum":
+            if (!Array.isArray(schema.values) || schema.values.length === 0) {
+                throw new Error("Enum schemas must have a non-empty values array.");
+            }
+            return { type: "enum", values: schema.values };
+        default:
+            // `{ type: "uint" }` is the long form of `"uint"`
+            return schema.type;
+    }
+}
+
+// Compile a schema into the same module `create` produces, with the schema embedded and covered by the hash
+async function createFromSchema(encoderName = "", schema, dependencies = {}, hasher, options) {
+    const encoder = compileComposite(schemaToDescription(schema));
+
+    return create(encoderName, { ...encoder, schema }, dependencies, hasher, options);
+}
+
+export {createFromSchema};
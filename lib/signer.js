@@ -0,0 +1,51 @@
+// Publisher signatures over generated modules, with a pluggable signer the same way `hasher` is pluggable.
+// A signer provides `sign(data, privateKey)` and `verify(data, signature, publicKey)`; signatures and public keys are hex strings.
+import b4a from "b4a";
+import {UntrustedModuleError} from "./errors.js";
+
+const algorithm = { name: "Ed25519" };
+
+// Default signer using Ed25519 through crypto.subtle, which works offline in Node and browsers
+export const defaultSigner = {
+    async sign(data, privateKey) {
+        const signature = await crypto.subtle.sign(algorithm, privateKey, data);
+        return b4a.toString(new Uint8Array(signature), "hex");
+    },
+    async verify(data, signature, publicKey) {
+        const key = await crypto.subtle.importKey("raw", b4a.from(publicKey, "hex"), algorithm, true, ["verify"]);
+        return crypto.subtle.verify(algorithm, key, b4a.from(signature, "hex"), data);
+    }
+};
+
+// Generate an Ed25519 key pair for the default signer, with the public key as hex
+export async function generateKeyPair() {
+    const { publicKey, privateKey } = await crypto.subtle.generateKey(algorithm, true, ["sign", "verify"]);
+    const rawPublicKey = await crypto.subtle.exportKey("raw", publicKey);
+    return { publicKey: b4a.toString(new Uint8Array(rawPublicKey), "hex"), privateKey };
+}
+
+export async function signModule(moduleCode, { publicKey, privateKey }, signer = defaultSigner) {
+    const signature = await signer.sign(b4a.from(moduleCode), privateKey);
+    return { signature, publicKey };
+}
+
+// Check a module against the trusted publisher keys before anything in it runs. Failures are
+// `UntrustedModuleError`s carrying the module's `hash` when it is given.
+export async function verifyModule(moduleCode, { signature, publicKey, trustedKeys = [], signer = defaultSigner, hash = null }) {
+    if (!signature || !publicKey) {
+        throw new UntrustedModuleError("Signature verification failed: module is unsigned.", { hash });
+    }
+    if (!trustedKeys.includes(publicKey)) {
+        throw new UntrustedModuleError("Signature verification failed: publisher key is not trusted.", { hash });
+    }
+
+    let valid = false;
+    try {
+        valid = await signer.verify(b4a.from(moduleCode), signature, publicKey);
+    } catch {
+        // Malformed keys or signatures are reported as invalid signatures
+    }
+    if (!valid) {
+        throw new UntrustedModuleError("Signature verification failed: signature does not match the module.", { hash });
+    }
+}
@@ -0,0 +1,70 @@
+// Storage backends for the registry. A backend stores records by key and exposes
+// async `get`, `put`, `delete` and `keys`.
+
+export function memoryStorage() {
+    const records = new Map();
+
+    return {
+        async get(key) {
+            return records.get(key);
+        },
+        async put(key, record) {
+            records.set(key, record);
+        },
+        async delete(key) {
+            records.delete(key);
+        },
+        async keys() {
+            return [...records.keys()];
+        }
+    };
+}
+
+// Store each record as a JSON file in `directory`, so services can share a directory of approved encoders.
+// Node modules are imported lazily to keep the package usable in browsers.
+export function fileStorage(directory) {
+    const suffix = ".json";
+
+    async function modules() {
+        const [fs, path] = await Promise.all([import("node:fs/promises"), import("node:path")]);
+        return { fs, path };
+    }
+
+    async function fileFor(key) {
+        const { path } = await modules();
+        return path.join(directory, encodeURIComponent(key) + suffix);
+    }
+
+    return {
+        async get(key) {
+            const { fs } = await modules();
+            try {
+                return JSON.parse(await fs.readFile(await fileFor(key), "utf8"));
+            } catch (err) {
+                if (err.code === "ENOENT") return undefined;
+                throw err;
+            }
+        },
+        async put(key, record) {
+            const { fs } = await modules();
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(await fileFor(key), JSON.stringify(record, null, 2));
+        },
+        async delete(key) {
+            const { fs } = await modules();
+            await fs.rm(await fileFor(key), { force: true });
+        },
+        async keys() {
+            const { fs } = await modules();
+            try {
+                const files = await fs.readdir(directory);
+                return files
+                    .filter(file => file.endsWith(suffix))
+                    .map(file => decodeURIComponent(file.slice(0, -suffix.length)));
+            } catch (err) {
+                if (err.code === "ENOENT") return [];
+                throw err;
+            }
+        }
+    };
+}
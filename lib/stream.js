@@ -0,0 +1,115 @@
+// Streaming encoders: values are written as length-prefixed frames, and frames are decoded as soon as all of
+// their bytes have arrived, however the byte stream is chunked. Uses web streams, available in browsers and Node.
+// Compact encoders decode from one buffer, so a frame is held in memory until it is complete: large collections
+// should be streamed as many values rather than as one.
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {load} from "./importEncodingFromUri.js";
+
+const defaultMaxFrameLength = 1024 * 1024;
+
+// Bytes needed for the compact-encoding uint starting with `first`
+function prefixLength(first) {
+    return first < 0xfd ? 1 : first === 0xfd ? 3 : first === 0xfe ? 5 : 9;
+}
+
+// A TransformStream turning values into frames: the payload length as a uint, then the payload.
+// The encoder's functions may return promises, which are awaited. Frames above `maxFrameLength` are refused,
+// so the writer fails rather than a reader with the same limit.
+function encodeStream(encoder, { maxFrameLength = defaultMaxFrameLength } = {}) {
+    return new TransformStream({
+        async transform(value, controller) {
+            const state = cenc.state();
+            await encoder.preencode(state, value);
+            const length = state.end;
+            if (length > maxFrameLength) {
+                throw new Error(`Frame of ${length} bytes exceeds the maximum of ${maxFrameLength}; raise maxFrameLength on both ends or split the value.`);
+            }
+            cenc.uint.preencode(state, length);
+
+            state.buffer = b4a.allocUnsafe(state.end);
+            cenc.uint.encode(state, length);
+            await encoder.encode(state, value);
+            controller.enqueue(state.buffer);
+        }
+    });
+}
+
+// A TransformStream turning chunks of frames back into values. Bytes are copied into the current frame as they
+// arrive, and decoding resumes across chunk boundaries, so at most one frame of up to `maxFrameLength` bytes is
+// held. The encoder's decode may return a promise, which is awaited before the next frame.
+function decodeStream(encoder, { maxFrameLength = defaultMaxFrameLength } = {}) {
+    const prefix = b4a.alloc(9);
+    let prefixNeeded = 0;
+    let prefixFilled = 0;
+    let frame = null;
+    let filled = 0;
+
+    async function decodeFrame(bytes) {
+        const state = cenc.state(0, bytes.byteLength, bytes);
+        const value = await encoder.decode(state);
+        if (state.start !== bytes.byteLength) {
+            throw new Error(`Frame has ${bytes.byteLength - state.start} bytes the encoder did not read.`);
+        }
+        return value;
+    }
+
+    return new TransformStream({
+        async transform(chunk, controller) {
+            let offset = 0;
+            while (offset < chunk.byteLength) {
+                if (frame === null) {
+                    // The length prefix can itself be split across chunks
+                    if (prefixFilled === 0) prefixNeeded = prefixLength(chunk[offset]);
+                    const count = Math.min(prefixNeeded - prefixFilled, chunk.byteLength - offset);
+                    prefix.set(chunk.subarray(offset, offset + count), prefixFilled);
+                    prefixFilled += count;
+                    offset += count;
+                    if (prefixFilled < prefixNeeded) return;
+
+                    const frameLength = cenc.decode(cenc.uint, prefix.subarray(0, prefixNeeded));
+                    prefixFilled = 0;
+                    if (frameLength > maxFrameLength) {
+                        throw new Error(`Frame of ${frameLength} bytes exceeds the maximum of ${maxFrameLength}.`);
+                    }
+
+                    // A frame that arrived whole is decoded where it is, without copying
+                    if (chunk.byteLength - offset >= frameLength) {
+                        controller.enqueue(await decodeFrame(chunk.subarray(offset, offset + frameLength)));
+                        offset += frameLength;
+                        continue;
+                    }
+                    frame = b4a.allocUnsafe(frameLength);
+                    filled = 0;
+                }
+
+                const count = Math.min(frame.byteLength - filled, chunk.byteLength - offset);
+                frame.set(chunk.subarray(offset, offset + count), filled);
+                filled += count;
+                offset += count;
+                if (filled < frame.byteLength) return;
+
+                const bytes = frame;
+                frame = null;
+                controller.enqueue(await decodeFrame(bytes));
+            }
+        },
+        flush() {
+            if (prefixFilled > 0 || frame !== null) {
+                throw new Error("Stream ended in the middle of a frame.");
+            }
+        }
+    });
+}
+
+// Load an encoder like `load`, and return it with functions creating framing streams for it
+async function loadStream(dataUri, expectedHash, hasherOrDeps, dependencies, options) {
+    const encoder = await load(dataUri, expectedHash, hasherOrDeps, dependencies, options);
+    return {
+        encoder,
+        encodeStream: streamOptions => encodeStream(encoder, streamOptions),
+        decodeStream: streamOptions => decodeStream(encoder, streamOptions)
+    };
+}
+
+export {encodeStream, decodeStream, loadStream};
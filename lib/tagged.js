@@ -0,0 +1,118 @@
+// Self-describing payloads: each value is prefixed with the hash of the encoder that wrote it,
+// optionally followed by the whole encoder module, so mixed-version data can share one log.
+import cenc from "compact-encoding";
+import {load} from "./importEncodingFromUri.js";
+import {decodeModule, encodeModule} from "./transport.js";
+import {UntrustedModuleError} from "./errors.js";
+
+const EMBEDDED_MODULE = 1;
+const SIGNED_MODULE = 2;
+
+const headerEncoding = {
+    preencode(state, header) {
+        cenc.uint.preencode(state, header.flags);
+        cenc.string.preencode(state, header.hash);
+        if (header.flags & EMBEDDED_MODULE) cenc.buffer.preencode(state, header.bundle);
+        if (header.flags & SIGNED_MODULE) {
+            cenc.string.preencode(state, header.signature);
+            cenc.string.preencode(state, header.publicKey);
+        }
+    },
+    encode(state, header) {
+        cenc.uint.encode(state, header.flags);
+        cenc.string.encode(state, header.hash);
+        if (header.flags & EMBEDDED_MODULE) cenc.buffer.encode(state, header.bundle);
+        if (header.flags & SIGNED_MODULE) {
+            cenc.string.encode(state, header.signature);
+            cenc.string.encode(state, header.publicKey);
+        }
+    },
+    decode(state) {
+        const flags = cenc.uint.decode(state);
+        const hash = cenc.string.decode(state);
+        const bundle = flags & EMBEDDED_MODULE ? cenc.buffer.decode(state) : null;
+        const signature = flags & SIGNED_MODULE ? cenc.string.decode(state) : null;
+        const publicKey = flags & SIGNED_MODULE ? cenc.string.decode(state) : null;
+        return { flags, hash, bundle, signature, publicKey };
+    }
+};
+
+// Wrap a loaded encoder so its payloads carry its hash, and optionally its module along with the publisher
+// signature `create` returned for it
+export function tagged(encoder, { module, signature, publicKey } = {}) {
+    if (!encoder.hash) {
+        throw new Error("Tagged payloads need an encoder with an embedded hash, as returned by load.");
+    }
+    if ((signature || publicKey) && !(module && signature && publicKey)) {
+        throw new Error("Signed tagged payloads need the module, its signature and the publisher key.");
+    }
+
+    const header = { flags: 0, hash: encoder.hash, bundle: null, signature, publicKey };
+    if (module) {
+        header.flags |= EMBEDDED_MODULE;
+        header.bundle = encodeModule(decodeModule(module), "binary").bundle;
+    }
+    if (signature) header.flags |= SIGNED_MODULE;
+
+    return {
+        preencode(state, value) {
+            headerEncoding.preencode(state, header);
+            encoder.preencode(state, value);
+        },
+        encode(state, value) {
+            headerEncoding.encode(state, header);
+            encoder.encode(state, value);
+        },
+        decode(state) {
+            const { hash } = headerEncoding.decode(state);
+            if (hash !== encoder.hash) {
+                throw new Error(`Payload was written by encoder ${hash}, not ${encoder.hash}; use decodeAny.`);
+            }
+            return encoder.decode(state);
+        }
+    };
+}
+
+// Decode a tagged payload with whichever encoder wrote it.
+// The resolver is called with the hash and may return a loaded encoder, a `{ module, dependencies, hasher, options }`
+// description to load, or nothing. Modules embedded in the payload are only loaded once the caller has approved them:
+// by returning `true` or a description without a module from the resolver, by listing the hash in `trustedHashes`,
+// or, with `trustedKeys`, by the payload carrying a valid signature from one of those keys. Every load goes through
+// `load`'s integrity checks.
+export async function decodeAny(buffer, resolver = () => null, { trustedHashes = [], trustedKeys, signer } = {}) {
+    const state = cenc.state(0, buffer.byteLength, buffer);
+    const { hash, bundle, signature, publicKey } = headerEncoding.decode(state);
+
+    const resolved = await resolver(hash);
+    let encoder;
+
+    if (resolved && typeof resolved.decode === "function") {
+        if (resolved.hash && resolved.hash !== hash) {
+            throw new Error(`Resolver returned encoder ${resolved.hash} for payload written by ${hash}.`);
+        }
+        encoder = resolved;
+    } else if (resolved && resolved.module) {
+        const { module, dependencies = {}, hasher, options } = resolved;
+        encoder = await load(module, hash, hasher, dependencies, options);
+    } else {
+        if (!bundle) {
+            throw new Error(`No encoder found for payload written by ${hash}.`);
+        }
+
+        const description = resolved && typeof resolved === "object" ? resolved : null;
+        const { dependencies = {}, hasher, options = {} } = description || {};
+        const approved = resolved === true || description !== null || new Set(trustedHashes).has(hash);
+        if (!approved && !trustedKeys) {
+            throw new UntrustedModuleError(
+                `Payload embeds encoder ${hash}, which has not been approved; approve it from the resolver or pass trustedHashes or trustedKeys.`,
+                { hash }
+            );
+        }
+
+        // Without approval by hash, the module must be signed by one of the trusted keys
+        const signing = approved ? {} : { trustedKeys, signature, publicKey, signer };
+        encoder = await load(bundle, hash, hasher, dependencies, { ...options, ...signing });
+    }
+
+    return encoder.decode(state);
+}
@@ -1,5 +1,29 @@
-// Helper to create a Data URI from the module code string
+import b4a from "b4a";
+import {EncodingUnsupportedError} from "./errors.js";
+
+// Helper to create a Data URI from the module code string, base64 encoding its UTF-8 bytes
 export function toDataUri(code) {
-    const base64 = btoa(code);
+    const base64 = b4a.toString(b4a.from(code), "base64");
     return `data:text/javascript;base64,${base64}`;
-}
\ No newline at end of file
+}
+
+// Helper to create a readable Data URI that keeps the module code as percent-encoded UTF-8
+export function toUtf8DataUri(code) {
+    return `data:text/javascript;charset=utf-8,${encodeURIComponent(code)}`;
+}
+
+// Helper to read the module code string back out of a Data URI without importing it
+export function fromDataUri(uri) {
+    const match = /^data:text\/javascript(?:;charset=utf-8)?(;base64)?,(.*)$/is.exec(uri);
+    if (!match) {
+        throw new EncodingUnsupportedError("Unsupported module URI: expected a JavaScript data URI.");
+    }
+    if (match[1]) {
+        return b4a.toString(b4a.from(match[2], "base64"));
+    }
+    try {
+        return decodeURIComponent(match[2]);
+    } catch {
+        throw new EncodingUnsupportedError("Unsupported module URI: invalid percent-encoding.");
+    }
+}
@@ -0,0 +1,75 @@
+// Module transports: the same module source can travel as a base64 or UTF-8 data URI, as raw source,
+// or as a compact binary bundle encoded with compact-encoding for hypercore/hyperswarm messages.
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {fromDataUri, toDataUri, toUtf8DataUri} from "./toDataUri.js";
+import {EncodingUnsupportedError} from "./errors.js";
+
+export const formats = ["base64", "utf8", "source", "binary"];
+
+const bundleVersion = 1;
+
+// Binary bundle layout: format version, then the module source
+export const bundleEncoding = {
+    preencode(state, bundle) {
+        cenc.uint.preencode(state, bundleVersion);
+        cenc.string.preencode(state, bundle.source);
+    },
+    encode(state, bundle) {
+        cenc.uint.encode(state, bundleVersion);
+        cenc.string.encode(state, bundle.source);
+    },
+    decode(state) {
+        const version = cenc.uint.decode(state);
+        if (version !== bundleVersion) {
+            throw new EncodingUnsupportedError(`Unsupported module bundle version ${version}.`);
+        }
+        return { version, source: cenc.string.decode(state) };
+    }
+};
+
+// Package module source in the requested format, keyed the way `create` returns it
+export function encodeModule(moduleCode, format = "base64") {
+    switch (format) {
+        case "base64":
+            return { uri: toDataUri(moduleCode) };
+        case "utf8":
+            return { uri: toUtf8DataUri(moduleCode) };
+        case "source":
+            return { source: moduleCode };
+        case "binary":
+            return { bundle: cenc.encode(bundleEncoding, { source: moduleCode }) };
+        default:
+            throw new EncodingUnsupportedError(`Unknown module format "${format}", expected one of ${formats.join(", ")}.`);
+    }
+}
+
+// Read module source from bytes that hold exactly one binary bundle of a version this library reads, or return null.
+// Bundles start with their version and the source length, so module source or a data URI is never mistaken for one.
+export function readBundle(bytes) {
+    const state = cenc.state(0, bytes.byteLength, bytes);
+    try {
+        const version = cenc.uint.decode(state);
+        if (version !== bundleVersion) return null;
+        const source = cenc.string.decode(state);
+        return state.start === state.end ? source : null;
+    } catch {
+        return null;
+    }
+}
+
+// Get the module source back from any format `encodeModule` produces
+export function decodeModule(module) {
+    if (b4a.isBuffer(module) || module instanceof Uint8Array) {
+        try {
+            return cenc.decode(bundleEncoding, module).source;
+        } catch (error) {
+            if (error instanceof EncodingUnsupportedError) throw error;
+            throw new EncodingUnsupportedError(`Unsupported module bundle: ${error.message}`);
+        }
+    }
+    if (typeof module !== "string") {
+        throw new EncodingUnsupportedError("Unsupported module: expected a data URI, module source or binary bundle.");
+    }
+    return module.startsWith("data:") ? fromDataUri(module) : module;
+}
@@ -0,0 +1,114 @@
+// Hash trees over generated modules: one leaf per function of the encoder object (encode, decode, preencode and
+// migrations), one `dep:<name>` leaf per function dependency, one `module` leaf for everything else, and a root over
+// all leaves. A module checked against a tree can differ from it only in the leaves a loader replaces with its own code.
+import b4a from "b4a";
+import {defaultHasher, canonicalModuleSource} from "./hasher.js";
+import {readFunctionEntries, readModule} from "./analyzer.js";
+import {functionSource} from "./generateFunctionsString.js";
+import {HashMismatchError} from "./errors.js";
+
+const hashText = (text, hasher) => hasher(b4a.from(text));
+
+// Function dependencies are encoder properties too, so they get their own namespace and can't be mistaken for
+// `module` or the encoder's own functions
+const dependencyLeaf = name => `dep:${name}`;
+
+// The functions of the encoder object with their leaf names and source ranges
+function functionLeaves(moduleCode) {
+    const dependencies = new Set(readModule(moduleCode).parameters.slice(2));
+    return readFunctionEntries(moduleCode).map(entry => ({ ...entry, leaf: dependencies.has(entry.name) ? dependencyLeaf(entry.name) : entry.name }));
+}
+
+// The root hashes the sorted leaf names and hashes, so it only depends on the leaves
+export async function treeRoot(leaves, hasher = defaultHasher) {
+    const lines = Object.keys(leaves).sort().map(name => `${name} ${leaves[name]}\n`);
+    return hashText(lines.join(""), hasher);
+}
+
+// Compute the tree of a module from its source
+export async function moduleTree(moduleCode, hasher = defaultHasher) {
+    const canonical = canonicalModuleSource(moduleCode);
+
+    const leaves = {};
+    let rest = canonical;
+    // Cut the functions out from the back so earlier ranges stay valid
+    for (const entry of functionLeaves(canonical).reverse()) {
+        leaves[entry.leaf] = await hashText(canonical.slice(entry.start, entry.end), hasher);
+        rest = `${rest.slice(0, entry.start)}null${rest.slice(entry.end)}`;
+    }
+    leaves.module = await hashText(rest, hasher);
+
+    return { root: await treeRoot(leaves, hasher), leaves };
+}
+
+// Check a module against an expected tree. `replaceable` maps leaves to the local functions that replace them, such
+// as `{ encode: localEncode, "dep:upper": fastUpper }`: those leaves may differ from the tree, and their remote code
+// is never run. Function dependencies passed to `load` are checked against their leaves unless they are replaced.
+// Returns the replacements keyed by encoder property, for `replaceLeaves`.
+export async function checkTree(moduleCode, expectedRoot, tree, { replaceable = {}, dependencies = {}, hasher = defaultHasher } = {}) {
+    const treeHash = tree && tree.leaves ? await treeRoot(tree.leaves, hasher) : null;
+    if (!tree || tree.root !== expectedRoot || treeHash !== expectedRoot) {
+        throw new HashMismatchError("Data integrity check failed: hash tree does not match its root.", { expected: expectedRoot, computed: treeHash });
+    }
+    if (!replaceable || typeof replaceable !== "object" || Array.isArray(replaceable)) {
+        throw new Error("replaceable maps leaves to the local functions that replace them, such as { encode: localEncode }.");
+    }
+    for (const leaf of Object.keys(replaceable)) {
+        if (leaf === "module") {
+            throw new Error("The module leaf cannot be replaceable.");
+        }
+        if (!Object.hasOwn(tree.leaves, leaf)) {
+            throw new Error(`The tree has no leaf "${leaf}" to replace.`);
+        }
+        if (typeof replaceable[leaf] !== "function") {
+            throw new Error(`Replaceable leaf "${leaf}" needs a local function to replace it.`);
+        }
+    }
+
+    const { root, leaves } = await moduleTree(moduleCode, hasher);
+    const names = new Set([...Object.keys(leaves), ...Object.keys(tree.leaves)]);
+    const differing = [];
+    for (const name of names) {
+        if (leaves[name] === tree.leaves[name]) continue;
+        if (!Object.hasOwn(replaceable, name) || !leaves[name]) differing.push(name);
+    }
+    if (differing.length) {
+        const list = differing.map(name => `"${name}"`).join(", ");
+        throw new HashMismatchError(
+            `Data integrity check failed: ${list} ${differing.length === 1 ? "does not match its leaf" : "do not match their leaves"}.`,
+            { expected: expectedRoot, computed: root, functions: differing }
+        );
+    }
+
+    const replacements = {};
+    for (const { name, leaf } of functionLeaves(moduleCode)) {
+        if (Object.hasOwn(replaceable, leaf)) {
+            replacements[name] = replaceable[leaf];
+        } else if (leaf === dependencyLeaf(name) && typeof dependencies[name] === "function") {
+            const computed = await hashText(functionSource(name, dependencies[name]), hasher);
+            if (computed !== tree.leaves[leaf]) {
+                throw new HashMismatchError(
+                    `Dependency "${name}" does not match its leaf "${leaf}" and is not replaced.`,
+                    { expected: tree.leaves[leaf], computed, functions: [leaf] }
+                );
+            }
+        }
+    }
+
+    return replacements;
+}
+
+// Swap the source of replaced encoder functions for the factory arguments after its parameters, so the remote code
+// of a replaced leaf is never evaluated. The factory is then called with the replacements, in the order returned.
+export function replaceLeaves(moduleCode, replacements) {
+    const parameters = readModule(moduleCode).parameters;
+    const names = Object.keys(replacements);
+
+    let source = moduleCode;
+    for (const entry of readFunctionEntries(moduleCode).reverse()) {
+        const index = names.indexOf(entry.name);
+        if (index === -1) continue;
+        source = `${source.slice(0, entry.start)}arguments[${parameters.length + index}]${source.slice(entry.end)}`;
+    }
+    return { source, functions: names.map(name => replacements[name]) };
+}
@@ -0,0 +1,231 @@
+// Property-based checks for compact encoders: generated values are written and read back,
+// and truncated or corrupted payloads must fail with an error rather than misbehave.
+import cenc from "compact-encoding";
+import b4a from "b4a";
+import {arbitrary as fromSchema, createRandom} from "./arbitrary.js";
+import {deepEqual} from "./equal.js";
+
+class Failure {
+    constructor(check, message, details = {}) {
+        this.check = check;
+        this.message = message;
+        Object.assign(this, details);
+    }
+}
+
+const isError = error => !!error && typeof error === "object" && typeof error.message === "string";
+
+// A decoder that never returns can only be stopped from outside. Under Node, decoding runs inside a `node:vm` script
+// with a timeout, which interrupts everything the script calls into, host functions included. Elsewhere a slow
+// decoder is only reported once it returns. `node:vm` is imported rather than taken from `process.getBuiltinModule`,
+// which Node 18 and Node 20 before 20.16 lack.
+const vm = globalThis.process?.versions?.node ? await import("node:vm").catch(() => null) : null;
+let watchdog = null;
+
+class Timeout {}
+
+// Call `run`, returning a Timeout if it is still running after `timeout` milliseconds
+function withTimeout(run, timeout) {
+    if (!vm) return run();
+
+    watchdog ??= vm.createContext({});
+    watchdog.run = run;
+    try {
+        return vm.runInContext("run()", watchdog, { timeout });
+    } catch (error) {
+        if (error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") return new Timeout();
+        throw error;
+    } finally {
+        watchdog.run = null;
+    }
+}
+
+// Run preencode and encode, checking that encode writes exactly the preencoded number of bytes
+function encodeChecked(encoder, value) {
+    const state = cenc.state();
+    try {
+        encoder.preencode(state, value);
+        const buffer = b4a.alloc(state.end);
+        state.buffer = buffer;
+        encoder.encode(state, value);
+
+        if (state.buffer !== buffer) {
+            return new Failure("length", "encode replaced state.buffer instead of writing into it.");
+        }
+        if (state.start !== buffer.byteLength) {
+            return new Failure("length", `preencode reserved ${buffer.byteLength} bytes but encode wrote ${state.start}.`);
+        }
+        return buffer;
+    } catch (error) {
+        return new Failure("encode", `encoding threw: ${isError(error) ? error.message : String(error)}`);
+    }
+}
+
+// Decode a damaged payload, which may fail, but only by throwing an error, within the time limit and the buffer
+function decodeDamaged(encoder, bytes, check, timeout) {
+    const state = cenc.state(0, bytes.byteLength, bytes);
+    const started = Date.now();
+    let thrown = null;
+    let result;
+    try {
+        result = withTimeout(() => encoder.decode(state), timeout);
+    } catch (error) {
+        thrown = error;
+    }
+
+    const details = { bytes: b4a.toString(bytes, "hex") };
+    if (result instanceof Timeout || Date.now() - started > timeout) {
+        return new Failure(check, `decoding a ${check} payload took longer than ${timeout}ms.`, details);
+    }
+    if (thrown !== null && !isError(thrown)) {
+        return new Failure(check, `decoding a ${check} payload threw a non-error value: ${String(thrown)}.`, details);
+    }
+    if (thrown === null && state.start > bytes.byteLength) {
+        return new Failure(check, `decoding a ${check} payload read past the end of the buffer.`, details);
+    }
+    return null;
+}
+
+function check(encoder, value, random, timeout) {
+    const buffer = encodeChecked(encoder, value);
+    if (buffer instanceof Failure) return buffer;
+
+    const details = { bytes: b4a.toString(buffer, "hex") };
+    const state = cenc.state(0, buffer.byteLength, buffer);
+    let decoded;
+    try {
+        decoded = withTimeout(() => encoder.decode(state), timeout);
+    } catch (error) {
+        return new Failure("roundtrip", `decoding threw: ${isError(error) ? error.message : String(error)}`, details);
+    }
+    if (decoded instanceof Timeout) {
+        return new Failure("roundtrip", `decoding took longer than ${timeout}ms.`, details);
+    }
+    if (state.start !== buffer.byteLength) {
+        return new Failure("roundtrip", `decode read ${state.start} of ${buffer.byteLength} bytes.`, details);
+    }
+    if (!deepEqual(decoded, value)) {
+        return new Failure("roundtrip", "decode(encode(value)) does not equal value.", { ...details, decoded });
+    }
+
+    // Every proper prefix, up to 64 of them spread over the payload
+    const step = Math.max(1, Math.ceil(buffer.byteLength / 64));
+    for (let length = 0; length < buffer.byteLength; length += step) {
+        const failure = decodeDamaged(encoder, buffer.slice(0, length), "truncated", timeout);
+        if (failure) return failure;
+    }
+
+    for (let i = 0; i < 4 && buffer.byteLength > 0; i++) {
+        const corrupted = b4a.from(buffer);
+        const flips = random.integer(1, 3);
+        for (let j = 0; j < flips; j++) {
+            corrupted[random.integer(0, corrupted.byteLength - 1)] ^= random.integer(1, 255);
+        }
+        const failure = decodeDamaged(encoder, corrupted, "corrupted", timeout);
+        if (failure) return failure;
+    }
+
+    return null;
+}
+
+// Smaller variants of a value, simplest first
+function shrinkCandidates(value) {
+    if (typeof value === "number") {
+        if (value === 0 || !Number.isFinite(value)) return [];
+        const candidates = [0, Math.trunc(value / 2), value - Math.sign(value)];
+        if (value < 0) candidates.push(-value);
+        if (!Number.isInteger(value)) candidates.push(Math.trunc(value));
+        return candidates.filter(candidate => candidate !== value);
+    }
+    if (typeof value === "bigint") {
+        if (value === 0n) return [];
+        return [0n, value / 2n, value < 0n ? value + 1n : value - 1n, ...(value < 0n ? [-value] : [])].filter(candidate => candidate !== value);
+    }
+    if (typeof value === "boolean") return value ? [false] : [];
+    if (typeof value === "string") {
+        if (value === "") return [];
+        return ["", value.slice(0, Math.floor(value.length / 2)), value.slice(1), value.slice(0, -1)];
+    }
+    if (ArrayBuffer.isView(value)) {
+        if (value.byteLength === 0) return [];
+        const candidates = [value.subarray(0, 0), value.subarray(0, Math.floor(value.byteLength / 2)), value.subarray(1)];
+        const zeroed = value.findIndex(byte => byte !== 0);
+        if (zeroed !== -1) {
+            const copy = value.slice();
+            copy[zeroed] = 0;
+            candidates.push(copy);
+        }
+        return candidates;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) return [];
+        return [
+            [],
+            value.slice(0, Math.floor(value.length / 2)),
+            ...value.map((_, i) => [...value.slice(0, i), ...value.slice(i + 1)]),
+            ...value.flatMap((item, i) => shrinkCandidates(item).map(smaller => Object.assign([...value], { [i]: smaller })))
+        ];
+    }
+    if (value && typeof value === "object") {
+        // Keys are kept, since the shape of a struct is fixed
+        return Object.keys(value).flatMap(key => shrinkCandidates(value[key]).map(smaller => ({ ...value, [key]: smaller })));
+    }
+    return [];
+}
+
+// Greedily replace the failing value with smaller ones that fail the same check
+function shrink(encoder, value, failure, seed, timeout) {
+    let shrinks = 0;
+    for (let improved = true; improved && shrinks < 1000;) {
+        improved = false;
+        for (const candidate of shrinkCandidates(value)) {
+            const result = check(encoder, candidate, createRandom(seed), timeout);
+            if (result && result.check === failure.check) {
+                value = candidate;
+                failure = result;
+                shrinks++;
+                improved = true;
+                break;
+            }
+        }
+    }
+    return { value, failure, shrinks };
+}
+
+// Check an encoder against generated values. Values come from `arbitrary(random)`, or from the encoder's schema,
+// after the given values and the examples in the encoder's manifest.
+function verify(encoder, { arbitrary, values = [], runs = 100, seed = Date.now(), timeout = 1000 } = {}) {
+    if (!encoder || ["preencode", "encode", "decode"].some(method => typeof encoder[method] !== "function")) {
+        throw new Error("verify needs an encoder with preencode, encode and decode functions.");
+    }
+    if (encoder.manifest && Array.isArray(encoder.manifest.examples)) {
+        values = [...values, ...encoder.manifest.examples];
+    }
+
+    const generate = arbitrary || (encoder.schema ? fromSchema(encoder.schema) : null);
+    if (!generate && values.length === 0) {
+        throw new Error("verify needs values, an arbitrary generator, or an encoder with a schema.");
+    }
+
+    const random = createRandom(seed);
+    const total = values.length + (generate ? runs : 0);
+
+    for (let run = 0; run < total; run++) {
+        const value = run < values.length ? values[run] : generate(random);
+        const runSeed = seed + run;
+        const failure = check(encoder, value, createRandom(runSeed), timeout);
+        if (failure) {
+            const shrunk = shrink(encoder, value, failure, runSeed, timeout);
+            return {
+                ok: false,
+                runs: run + 1,
+                seed,
+                failure: { ...shrunk.failure, value: shrunk.value, original: value, shrinks: shrunk.shrinks }
+            };
+        }
+    }
+
+    return { ok: true, runs: total, seed, failure: null };
+}
+
+export {verify};
@@ -1,8 +1,19 @@
 import { test, solo } from "brittle";
 import cenc from "compact-encoding";
-import { create, load } from './index.js'; // Adjust to your actual library path
+import { create, createFromSchema, load, migrate, struct, array, optional, createRegistry, fileStorage, generateKeyPair, inspect, tagged, decodeAny, createVersion, loadLineage, checkCompatibility, arbitrary, createRandom, verify, createBundle, loadBundle, loadStream, encodeStream, decodeStream, createPeer, readManifest, createLoadCache, DynamicEncoderError, HashMismatchError, ModuleSyntaxError, MissingDependencyError, UnknownDependencyError, InvalidDependencyError, EncodingUnsupportedError, UntrustedModuleError, PolicyViolationError, RuntimeMismatchError, InvalidOptionError } from './index.js'; // Adjust to your actual library path
 import codecs from "codecs";
 import b4a from "b4a";
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs/promises";
+import { Readable, Writable } from "node:stream";
+import { pathToFileURL } from "node:url";
+import { promisify } from "node:util";
+import childProcess from "node:child_process";
+import { run } from "./lib/cli.js";
+import { satisfies } from "./lib/runtime.js";
+
+const execFile = promisify(childProcess.execFile);
 
 const customEncoder1 = {
     encode(state, value) {
@@ -207,7 +218,8 @@ test("fail to load invalid data URI", async t => {
         await load('data:text/javascript;base64,invalidUri', 'invalidHash');
         t.fail("Loading an invalid Data URI should throw an error");
     } catch (err) {
-        t.ok(err instanceof SyntaxError, "Error should be a SyntaxError for invalid Data URI");
+        // The module source is hashed before it is evaluated, so garbage never reaches the parser
+        t.ok(err.message.includes("hash mismatch"), "Invalid Data URI should be rejected by the integrity check");
     }
 
     t.pass();
@@ -486,4 +498,1699 @@ test("replace encoder's dependency with a custom faster version", async t => {
     t.is(decodedValue, 'fast:Hello, World!', "The decoded value should match the fast-processed result");
 
     t.pass();
-});
\ No newline at end of file
+});
+
+test("create and load composite encoder with nested fields", async t => {
+    const upperCase = {
+        encode(state, value) {
+            cenc.string.encode(state, value.toUpperCase());
+        },
+        decode(state) {
+            return cenc.string.decode(state).toLowerCase();
+        },
+        preencode(state, value) {
+            cenc.string.preencode(state, value.toUpperCase());
+        }
+    };
+
+    // Step 1: Create the encoder from a description mixing primitives, arrays, optionals and a custom encoder
+    const { uri, hash } = await create('recordEncoder', struct({
+        id: cenc.uint,
+        tags: array(cenc.string),
+        note: optional("string"),
+        label: upperCase,
+        points: array(struct({ x: cenc.int, y: optional(cenc.int) }))
+    }));
+
+    // Step 2: Load it without re-supplying any of the inner encoders
+    const encoder = await load(uri, hash);
+
+    // Step 3: Round trip a value through the loaded encoder
+    const value = {
+        id: 42,
+        tags: ["a", "b"],
+        note: null,
+        label: "hello",
+        points: [{ x: -1, y: null }, { x: 2, y: 3 }]
+    };
+    const buffer = cenc.encode(encoder, value);
+    t.alike(cenc.decode(encoder, buffer), value, "Composite encoder should round trip nested values");
+    t.alike(cenc.decode(encoder, cenc.encode(encoder, { ...value, note: "memo" })).note, "memo", "Optional field should be decoded when present");
+
+    t.pass();
+});
+
+test("composite encoder hash covers nested encoders", async t => {
+    const makeEncoder = suffix => ({
+        preencode(state, value) {
+            cenc.string.preencode(state, value);
+        },
+        encode(state, value) {
+            cenc.string.encode(state, value);
+        },
+        decode(state) {
+            return cenc.string.decode(state) + suffix;
+        }
+    });
+
+    const { hash: hashOne } = await create('nestedEncoder', struct({ label: makeEncoder("") }), { suffix: "" });
+    const { hash: hashTwo } = await create('nestedEncoder', struct({ label: { ...makeEncoder(""), decode(state) { return cenc.string.decode(state) + "!"; } } }));
+
+    t.not(hashOne, hashTwo, "Changing a nested encoder should change the composite hash");
+
+    // Captured values are not serialized, so they have to be passed as dependencies
+    await t.exception(create('nestedEncoder', struct({ label: makeEncoder("!") })), /references "suffix".*pass them as dependencies/);
+
+    // Members built by compact-encoding's factories capture its internals, so the error points to the composite helpers
+    await t.exception(create('tagged', struct({ tags: cenc.array(cenc.string) })), /compact-encoding's array\(\).*describe lists with array\(\) and nullable values with optional\(\)/);
+    const { uri: taggedUri, hash: taggedHash } = await create('tagged', struct({ tags: array(cenc.string) }));
+    t.alike(cenc.decode(await load(taggedUri, taggedHash), cenc.encode(cenc.array(cenc.string), ["a", "b"])).tags, ["a", "b"]);
+    const { uri, hash } = await create('nestedEncoder', struct({ label: makeEncoder("") }), { suffix: "!" });
+    t.is(cenc.decode(await load(uri, hash), cenc.encode(cenc.string, "hi")).label, "hi!");
+
+    // Members without preencode are rejected up front
+    const { preencode, ...withoutPreencode } = makeEncoder("");
+    await t.exception(create('nestedEncoder', struct({ label: withoutPreencode })), /must be compact encoders with preencode/);
+
+    t.pass();
+});
+
+test("composite encoder rejects unknown primitives", async t => {
+    await t.exception(create('badEncoder', struct({ id: "notAPrimitive" })), /Unknown compact-encoding primitive/);
+});
+
+test("create and load encoder from a schema", async t => {
+    const schema = {
+        type: "struct",
+        fields: {
+            id: "uint",
+            name: { type: "string" },
+            avatar: { type: "optional", item: "buffer" },
+            admin: "bool",
+            roles: { type: "array", item: { type: "enum", values: ["reader", "writer"] } }
+        }
+    };
+
+    // Step 1: Create the encoder from plain data
+    const { uri, hash } = await createFromSchema('userEncoder', schema);
+
+    // Step 2: Load it through the regular load path
+    const encoder = await load(uri, hash);
+    t.alike(encoder.schema, schema, "The schema should be embedded in the module");
+
+    // Step 3: Round trip a value
+    const value = { id: 1, name: "ada", avatar: b4a.from("face", "hex"), admin: false, roles: ["writer", "reader"] };
+    t.alike(cenc.decode(encoder, cenc.encode(encoder, value)), value, "Schema encoder should round trip values");
+    t.exception(() => cenc.encode(encoder, { ...value, roles: ["owner"] }), /Invalid enum value/, "Unknown enum values should be rejected");
+
+    t.pass();
+});
+
+test("schema hash changes with the schema", async t => {
+    const { hash: hashOne } = await createFromSchema('schemaEncoder', { type: "struct", fields: { id: "uint" } });
+    const { hash: hashTwo } = await createFromSchema('schemaEncoder', { type: "struct", fields: { id: "uint", name: "string" } });
+
+    t.not(hashOne, hashTwo, "Different schemas should produce different hashes");
+
+    t.pass();
+});
+
+test("schema rejects non-data entries", async t => {
+    await t.exception(createFromSchema('badSchema', { type: "struct", fields: { id: cenc.uint } }), /primitive names or objects with a type/);
+});
+
+test("registry stores encoders by name and version and looks them up by hash", async t => {
+    const registry = createRegistry();
+
+    const v1 = await create('point', struct({ x: cenc.uint }));
+    const v2 = await create('point', struct({ x: cenc.uint, y: cenc.uint }));
+    await registry.add('point', '1.9.0', v1);
+    await registry.add('point', '1.10.0', v2);
+
+    t.is((await registry.get('point')).hash, v2.hash, "The latest version should be returned by default");
+    t.is((await registry.get('point', '1.9.0')).hash, v1.hash, "A specific version should be returned when asked");
+    t.is((await registry.getByHash(v1.hash)).version, '1.9.0', "Encoders should be found by hash");
+    t.alike((await registry.list()).map(record => record.version), ['1.9.0', '1.10.0'], "Versions should be listed in order");
+
+    await t.exception(registry.add('point', '1.9.0', v2), /already registered/, "A version cannot be registered twice with different hashes");
+
+    // The same hash can be registered under another version without replacing the first record
+    await registry.add('point', '2.0.0', v2);
+    t.is((await registry.get('point', '1.10.0')).hash, v2.hash, "Earlier records of the hash should still be found");
+    t.is((await registry.get('point')).version, '2.0.0');
+    t.is((await registry.getByHash(v2.hash)).version, '1.10.0', "The first record of a hash should be returned");
+    t.is((await registry.list()).length, 3);
+
+    await registry.remove(v2.hash);
+    t.alike((await registry.list()).map(record => record.version), ['1.9.0'], "Removing a hash should remove all of its records");
+
+    t.pass();
+});
+
+test("registry caches loaded encoders", async t => {
+    const registry = createRegistry();
+    const created = await create('counter', cenc.uint);
+    await registry.add('counter', 1, created);
+
+    const first = await registry.load({ name: 'counter' });
+    const second = await registry.load(created.hash);
+    t.is(first, second, "The same encoder should be returned without re-importing");
+
+    registry.evict(created.hash);
+    t.not(await registry.load(created.hash), first, "Evicting should force a fresh load");
+
+    await t.exception(registry.load({ name: 'missing' }), /not registered/);
+
+    t.pass();
+});
+
+test("registry rejects modules whose name does not match", async t => {
+    const registry = createRegistry();
+    await registry.add('renamed', 1, await create('original', cenc.uint));
+
+    await t.exception(registry.load({ name: 'renamed' }), /declares the name "original"/);
+});
+
+test("registry shares encoders through file storage", async t => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dynamic-encoder-'));
+    t.teardown(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const created = await create('message', struct({ text: cenc.string }));
+    await createRegistry({ storage: fileStorage(directory) }).add('message', '2.0.0', created);
+
+    // A second registry over the same directory sees the stored encoder
+    const registry = createRegistry({ storage: fileStorage(directory) });
+    const encoder = await registry.load({ name: 'message', version: '2.0.0' });
+    t.alike(cenc.decode(encoder, cenc.encode(encoder, { text: "hi" })), { text: "hi" }, "Encoder loaded from file storage should work");
+
+    await registry.remove(created.hash);
+    t.is((await registry.list()).length, 0, "Removed encoders should no longer be listed");
+});
+
+test("create signed encoder and load it with trusted keys", async t => {
+    const publisher = await generateKeyPair();
+
+    // Step 1: Create and sign the encoder
+    const { uri, hash, signature, publicKey } = await create('signedEncoder', cenc.uint, {}, undefined, { sign: publisher });
+    t.is(publicKey, publisher.publicKey, "The publisher key should be returned with the signature");
+
+    // Step 2: Load it, trusting the publisher
+    const encoder = await load(uri, hash, {}, undefined, { signature, publicKey, trustedKeys: [publisher.publicKey] });
+    t.ok(encoder.encode, "Signed encoder should load when its publisher is trusted");
+
+    t.pass();
+});
+
+test("reject unsigned, untrusted and tampered modules", async t => {
+    const publisher = await generateKeyPair();
+    const stranger = await generateKeyPair();
+    const signed = await create('signedEncoder', cenc.uint, {}, undefined, { sign: publisher });
+    const other = await create('otherEncoder', cenc.uint, {}, undefined, { sign: publisher });
+    const trustedKeys = [publisher.publicKey];
+
+    await t.exception(load(signed.uri, signed.hash, {}, undefined, { trustedKeys }), /module is unsigned/, "Unsigned modules should be rejected");
+
+    const byStranger = await create('signedEncoder', cenc.uint, {}, undefined, { sign: stranger });
+    await t.exception(load(byStranger.uri, byStranger.hash, {}, undefined, { ...byStranger, trustedKeys }), /not trusted/, "Modules from untrusted keys should be rejected");
+
+    // Reuse a valid signature on a different module
+    await t.exception(load(other.uri, other.hash, {}, undefined, { signature: signed.signature, publicKey: signed.publicKey, trustedKeys }), /does not match/, "Signatures should be bound to the module");
+});
+
+test("pluggable signer", async t => {
+    const signer = {
+        async sign(data, privateKey) {
+            return `${privateKey}:${b4a.byteLength(data)}`;
+        },
+        async verify(data, signature, publicKey) {
+            return signature === `${publicKey}:${b4a.byteLength(data)}`;
+        }
+    };
+
+    const { uri, hash, signature, publicKey } = await create('customSigned', cenc.uint, {}, undefined, { sign: { publicKey: "key", privateKey: "key" }, signer });
+    const encoder = await load(uri, hash, {}, undefined, { signature, publicKey, trustedKeys: ["key"], signer });
+    t.ok(encoder.encode, "Custom signer should be used for signing and verification");
+});
+
+test("registry keeps signatures and verifies them on load", async t => {
+    const publisher = await generateKeyPair();
+    const registry = createRegistry({ loadOptions: { trustedKeys: [publisher.publicKey] } });
+
+    await registry.add('signed', 1, await create('signed', cenc.uint, {}, undefined, { sign: publisher }));
+    await registry.add('unsigned', 1, await create('unsigned', cenc.int));
+
+    t.ok(await registry.load({ name: 'signed' }), "Signed records should load");
+    await t.exception(registry.load({ name: 'unsigned' }), /module is unsigned/, "Unsigned records should be rejected");
+});
+
+test("reject tampered module before it runs", async t => {
+    const { uri, hash } = await create('counter', cenc.uint);
+
+    // Step 1: Tamper with the module so it would leave a trace if it ever ran
+    const tampered = atob(uri.split(',')[1]).replace('const encoder = {', 'globalThis.tamperedModuleRan = true;\n    const encoder = {');
+    const tamperedUri = `data:text/javascript;base64,${btoa(tampered)}`;
+
+    // Step 2: Loading with the original hash fails without evaluating anything
+    await t.exception(load(tamperedUri, hash), /hash mismatch/, "Tampered module should be rejected");
+    t.is(globalThis.tamperedModuleRan, undefined, "Tampered module code should never run");
+});
+
+test("module hash covers name and dependency parameters", async t => {
+    const { hash } = await create('counter', cenc.uint);
+    const { hash: renamedHash } = await create('renamedCounter', cenc.uint);
+    const { hash: withDependencyHash } = await create('counter', cenc.uint, { dep: {} });
+
+    t.not(hash, renamedHash, "The name should be part of the hash");
+    t.not(hash, withDependencyHash, "The dependency parameter list should be part of the hash");
+
+    const encoder = await load((await create('counter', cenc.uint)).uri, hash);
+    t.is(encoder.hash, hash, "The embedded hash should match the returned hash");
+});
+
+test("migrate a module created under legacy hashing", async t => {
+    // Step 1: Build a module the way earlier versions did, hashing only the functions string
+    const functionsString = 'encode: function encode(state, value) { cenc.uint.encode(state, value); },\n' +
+        'decode: function decode(state) { return cenc.uint.decode(state); },\n' +
+        'preencode: function preencode(state, value) { cenc.uint.preencode(state, value); }';
+    const legacyUri = `data:text/javascript;base64,${btoa(`
+export default function (cenc, b4a) {
+    return {
+        ${functionsString},
+name: "legacyCounter",
+hash: "unused"
+    };
+}`)}`;
+    const digest = await crypto.subtle.digest('SHA-256', b4a.from(functionsString));
+    const legacyHash = b4a.toString(new Uint8Array(digest), 'hex');
+
+    // Step 2: The strict scheme rejects it, the legacy option still accepts it
+    await t.exception(load(legacyUri, legacyHash), /hash mismatch/, "Legacy hashes should not pass the strict check");
+    t.ok(await load(legacyUri, legacyHash, {}, undefined, { legacy: true }), "Legacy modules should load with the legacy option");
+
+    // Step 3: Migrate to a module hashed under the strict scheme
+    const { uri, hash } = await migrate(legacyUri, legacyHash);
+    const encoder = await load(uri, hash);
+    t.is(encoder.name, "legacyCounter", "The migrated module should keep its name");
+    t.is(cenc.decode(encoder, cenc.encode(encoder, 42)), 42, "The migrated encoder should work");
+});
+
+test("sandboxed load runs encoders with only injected globals", async t => {
+    const { uri, hash } = await create('sandboxed', struct({ id: cenc.uint, tags: array(cenc.string) }), {
+        double(value) {
+            return value * 2;
+        }
+    });
+
+    // Step 1: Load into a restricted realm
+    const encoder = await load(uri, hash, { double: value => value * 2 }, undefined, { sandbox: true });
+
+    // Step 2: cenc, b4a and dependencies are still available
+    const value = { id: 3, tags: ["x"] };
+    t.alike(JSON.parse(JSON.stringify(cenc.decode(encoder, cenc.encode(encoder, value)))), value, "Sandboxed encoder should round trip values");
+    t.is(encoder.double(2), 4, "Dependencies should be available in the sandbox");
+
+    t.pass();
+});
+
+test("sandboxed load blocks ambient globals", async t => {
+    const probe = {
+        readProcess() {
+            return process.env;
+        },
+        readGlobal() {
+            return globalThis.process;
+        },
+        fetchSomething() {
+            return fetch("https://example.com");
+        },
+        evaluate() {
+            return eval("1 + 1");
+        },
+        importSomething() {
+            return import("node:fs");
+        }
+    };
+    const { uri, hash } = await create('probe', cenc.uint, probe);
+    const encoder = await load(uri, hash, probe, undefined, { sandbox: true });
+
+    t.exception.all(() => encoder.readProcess(), /process is not defined/, "process should not be reachable");
+    t.exception.all(() => encoder.readGlobal(), "globalThis should not be reachable");
+    t.exception.all(() => encoder.fetchSomething(), /fetch is not defined/, "fetch should not be reachable");
+    t.exception.all(() => encoder.evaluate(), /Code generation from strings disallowed/, "eval should be disabled");
+    await t.exception.all(async () => encoder.importSomething(), "import() should be rejected");
+
+    // The same module loaded normally still has ambient access
+    const unsandboxed = await load(uri, hash, probe);
+    t.ok(unsandboxed.readProcess(), "Without the sandbox ambient globals stay reachable");
+});
+
+test("sandboxed encoders cannot reach the host realm through injected objects", async t => {
+    class Clock {
+        now() {
+            return 1;
+        }
+        fail() {
+            throw new Error("failed");
+        }
+    }
+    // Each probe climbs from something handed to the encoder to its Function constructor
+    const probes = {
+        throughCenc: () => cenc.uint.encode.constructor.constructor("return process")(),
+        throughB4a: () => b4a.from.constructor.constructor("return process")(),
+        throughArgument: value => value.constructor.constructor("return process")(),
+        throughDependency: () => clock.now.constructor.constructor("return process")(),
+        throughError: () => {
+            try {
+                clock.fail();
+            } catch (error) {
+                return error.constructor.constructor("return process")();
+            }
+        },
+        throughState: state => state.buffer.constructor.constructor("return process")()
+    };
+    const dependencies = { clock: new Clock(), readClock: () => clock.now(), ...probes };
+    const uint = {
+        preencode: (state, value) => cenc.uint.preencode(state, value),
+        encode: (state, value) => cenc.uint.encode(state, value),
+        decode: state => cenc.uint.decode(state)
+    };
+    const { uri, hash } = await create('escape', uint, dependencies);
+    const encoder = await load(uri, hash, dependencies, undefined, { sandbox: true });
+
+    for (const name of Object.keys(probes)) {
+        const state = cenc.state(0, 1, b4a.alloc(1));
+        t.exception.all(() => encoder[name](name === 'throughState' ? state : { value: 1 }), /Code generation from strings disallowed/, `${name} should not reach the host Function`);
+    }
+    t.is(encoder.readClock(), 1, "Injected objects should still work");
+
+    // Values still cross the boundary both ways
+    t.is(cenc.decode(encoder, cenc.encode(encoder, 300)), 300);
+});
+
+test("inspect reports what an encoder touches without loading it", async t => {
+    const { uri } = await create('probe', customEncoder1, {
+        lookup(value) {
+            return table[value];
+        }
+    });
+
+    const report = inspect(uri);
+    t.is(report.name, 'probe', "The report should include the module name");
+    t.alike(report.dependencies, ['lookup'], "The report should list the dependency parameters");
+    t.alike(report.globals, ['table'], "Undeclared identifiers should be reported");
+    t.is(report.findings.filter(finding => finding.type === 'buffer').length, 2, "Every Buffer reference should be reported");
+
+    const clean = inspect((await create('clean', struct({ id: cenc.uint, data: cenc.buffer }))).uri);
+    t.is(clean.findings.length, 0, "Composite encoders only touch cenc");
+});
+
+test("inspect reports dynamic code", async t => {
+    const { uri } = await create('dynamic', {
+        encode(state, value) {
+            return eval(value);
+        },
+        decode(state) {
+            return import(state.url);
+        },
+        preencode(state, value) {
+            return new Function(value);
+        }
+    });
+
+    const names = inspect(uri).findings.filter(finding => finding.type === 'dynamic-code').map(finding => finding.name);
+    t.alike(names, ['eval', 'import', 'Function'], "eval, import() and Function should be reported");
+});
+
+test("inspect reports constructor chains reaching Function", async t => {
+    const { uri, hash } = await create('constructors', {
+        encode(state, value) {
+            return cenc.uint.constructor.constructor(value)();
+        },
+        decode(state) {
+            return state["constructor"][`constructor`]("return 1")();
+        },
+        preencode(state, value) {
+            cenc.uint.preencode(state, value);
+        }
+    });
+
+    const findings = inspect(uri).findings.filter(finding => finding.type === 'dynamic-code');
+    t.is(findings.length, 4, "Every constructor access should be reported");
+    t.ok(findings.every(finding => finding.name === 'constructor'));
+    await t.exception(load(uri, hash, {}, undefined, { policy: 'deny' }), /constructor reaches the Function constructor/);
+});
+
+test("inspect reports computed keys and Reflect that can reach Function", async t => {
+    const bypasses = {
+        computed: {
+            encode(state, value) {
+                const k = "con" + "structor";
+                return (() => 0)[k][k]("return typeof process")();
+            },
+            decode(state) { return cenc.uint.decode(state); },
+            preencode(state, value) { cenc.uint.preencode(state, value); }
+        },
+        reflect: {
+            encode(state, value) {
+                return Reflect.get(() => 0, "constructor")("return typeof process")();
+            },
+            decode(state) { return cenc.uint.decode(state); },
+            preencode(state, value) { cenc.uint.preencode(state, value); }
+        }
+    };
+
+    // Step 1: Keys that could name constructor and Reflect are dynamic code, so deny refuses both at create and load
+    for (const [name, encoder] of Object.entries(bypasses)) {
+        const { uri, hash } = await create(name, encoder);
+        const findings = inspect(uri).findings.filter(finding => finding.type === 'dynamic-code');
+        t.ok(findings.some(finding => finding.name === (name === 'computed' ? 'computed' : 'Reflect')), `${name} should be reported`);
+        await t.exception(create(name, encoder, {}, undefined, { policy: 'deny' }), /Encoder policy violation/);
+        await t.exception(load(uri, hash, {}, undefined, { policy: 'deny' }), /Encoder policy violation/);
+    }
+
+    // Step 2: Numeric keys, such as loop counters and byte offsets, are not reported
+    const bytes = await create('bytes', {
+        encode(state, value) {
+            for (let i = 0; i < value.length; i++) state.buffer[state.start++] = value[i];
+        },
+        decode(state) {
+            const values = [];
+            for (let i = 0; i < 2; i += 1) values.push(state.buffer[(state.start | 0) + i]);
+            state.start += 2;
+            return values;
+        },
+        preencode(state, value) { state.end += value.length; }
+    }, {}, undefined, { policy: 'deny' });
+    t.alike(inspect(bytes.uri).findings, [], "Numeric keys should not be reported");
+    const schema = { type: 'struct', fields: { tags: { type: 'array', item: 'string' }, kind: { type: 'enum', values: ['a', 'b'] } } };
+    const composite = await createFromSchema('tags', schema, {}, undefined, { policy: 'deny' });
+    t.ok(await load(composite.uri, composite.hash, {}, undefined, { policy: 'deny' }), "Generated composites should pass a denying policy");
+
+    // Step 3: A counter given another value inside its loop is not treated as a number
+    const reassigned = await create('reassigned', {
+        encode(state, value) {
+            for (let i = 0; i < 1; i++) { i = value; state.buffer[i] = 0; }
+        },
+        decode(state) { return cenc.uint.decode(state); },
+        preencode(state, value) { state.end++; }
+    });
+    t.ok(inspect(reassigned.uri).findings.some(finding => finding.name === 'computed'));
+});
+
+test("create and load apply capability policies", async t => {
+    // Step 1: A denying policy refuses to create an encoder that uses Buffer
+    await t.exception(create('jsonEncoder', customEncoder1, {}, undefined, { policy: 'deny' }), /Encoder policy violation/);
+
+    const { uri, hash } = await create('jsonEncoder', customEncoder1);
+
+    // Step 2: A warning policy reports and still loads
+    const warnings = [];
+    const encoder = await load(uri, hash, {}, undefined, { policy: 'warn', onWarning: (message, report) => warnings.push(report) });
+    t.ok(encoder.encode, "Encoder should load under a warning policy");
+    t.is(warnings.length, 1, "The warning should be reported once");
+    t.is(warnings[0].findings[0].type, 'buffer', "The warning should carry the report");
+
+    // Step 3: A denying policy refuses to load it
+    await t.exception(load(uri, hash, {}, undefined, { policy: 'deny' }), /Buffer is not injected/);
+
+    // Without a handler, warnings are not written anywhere
+    const warn = console.warn;
+    const logged = [];
+    console.warn = message => logged.push(message);
+    try {
+        await load(uri, hash, {}, undefined, { policy: 'warn' });
+    } finally {
+        console.warn = warn;
+    }
+    t.is(logged.length, 0, "The default warning handler should not write to the console");
+
+    // Step 4: Clean encoders pass a denying policy
+    const clean = await create('clean', struct({ id: cenc.uint }), {}, undefined, { policy: 'deny' });
+    t.ok(await load(clean.uri, clean.hash, {}, undefined, { policy: 'deny' }), "Clean encoders should load under a denying policy");
+});
+
+test("embed serializable dependencies in the module", async t => {
+    const table = { red: 1, green: 2 };
+    const encoder = {
+        encode(state, value) {
+            cenc.uint.encode(state, table[value]);
+        },
+        decode(state) {
+            const index = cenc.uint.decode(state);
+            return Object.keys(table).find(key => table[key] === index);
+        },
+        preencode(state, value) {
+            cenc.uint.preencode(state, table[value]);
+        }
+    };
+
+    // Step 1: Create the encoder with a lookup table, a constant and bytes
+    const { uri, hash } = await create('colorEncoder', encoder, { table, limit: 10, magic: b4a.from('cafe', 'hex') });
+    t.is(inspect(uri).dependencies.length, 0, "Serializable values should not be module parameters");
+
+    // Step 2: Load without supplying them again
+    const loaded = await load(uri, hash);
+    t.alike(loaded.table, table, "Embedded values should be exposed on the encoder");
+    t.is(loaded.limit, 10, "Constants should be embedded");
+    t.alike(loaded.magic, b4a.from('cafe', 'hex'), "Uint8Arrays should be embedded");
+    t.is(cenc.decode(loaded, cenc.encode(loaded, 'green')), 'green', "The encoder should use the embedded table");
+
+    // Step 3: The values are covered by the hash
+    const { hash: otherHash } = await create('colorEncoder', encoder, { table: { red: 1, green: 3 }, limit: 10, magic: b4a.from('cafe', 'hex') });
+    t.not(hash, otherHash, "Changing an embedded value should change the hash");
+});
+
+test("create rejects dependency names the module can't bind", async t => {
+    const encoder = {
+        encode: (state, value) => cenc.uint.encode(state, value),
+        decode: state => cenc.uint.decode(state),
+        preencode: (state, value) => cenc.uint.preencode(state, value)
+    };
+
+    for (const name of ['cenc', 'b4a', 'encoder', 'class', 'arguments', 'decode', 'hash', 'my-dep', '1st']) {
+        await t.exception(create('names', encoder, { [name]: () => 1 }), /Dependency name/, `"${name}" should be rejected`);
+        await t.exception(create('names', encoder, { [name]: 1 }), /Dependency name/, `"${name}" should be rejected as a value`);
+    }
+    const error = await create('names', encoder, { cenc: () => 1 }).catch(error => error);
+    t.is(error.code, 'ERR_INVALID_DEPENDENCY');
+    t.is(error.dependency, 'cenc');
+
+    // Other identifiers, including non-ASCII ones, still work
+    const { uri, hash } = await create('names', encoder, { größe: 2, $offset: () => 1 });
+    const loaded = await load(uri, hash, { $offset: () => 1 });
+    t.is(loaded.größe, 2);
+    t.is(loaded.$offset(), 1);
+});
+
+test("live object dependencies are injection slots with an interface fingerprint", async t => {
+    const encoder = {
+        encode(state, value) {
+            cenc.string.encode(state, dep.process(value));
+        },
+        decode(state) {
+            return cenc.string.decode(state);
+        },
+        preencode(state, value) {
+            cenc.string.preencode(state, dep.process(value));
+        }
+    };
+    const { uri, hash } = await create('slotEncoder', encoder, { dep: { process: value => `slow:${value}` } });
+
+    // A replacement with the same interface is accepted
+    const loaded = await load(uri, hash, { dep: { process: value => `fast:${value}` } });
+    t.is(cenc.decode(loaded, cenc.encode(loaded, 'x')), 'fast:x', "The injected object should be used");
+
+    // A replacement with a different interface is rejected before the module runs
+    await t.exception(load(uri, hash, { dep: { process: (value, extra) => value } }), /does not match its declared interface "process\/1"/);
+    await t.exception(load(uri, hash, {}), /Missing dependency "dep"/);
+});
+
+test("create and load non-ASCII encoders in every format", async t => {
+    const greeting = {
+        encode(state, value) {
+            cenc.string.encode(state, `¡Hola, ${value}! 👋`);  // Non-Latin1 text used to break btoa
+        },
+        decode(state) {
+            return cenc.string.decode(state);
+        },
+        preencode(state, value) {
+            cenc.string.preencode(state, `¡Hola, ${value}! 👋`);
+        }
+    };
+
+    for (const format of ['base64', 'utf8', 'source', 'binary']) {
+        const created = await create('greeting', greeting, {}, undefined, { format });
+        const module = created.uri || created.source || created.bundle;
+        t.ok(module, `The ${format} format should produce a module`);
+
+        const encoder = await load(module, created.hash);
+        t.is(cenc.decode(encoder, cenc.encode(encoder, 'mundo')), '¡Hola, mundo! 👋', `The ${format} module should load and work`);
+    }
+});
+
+test("transport formats share the same hash", async t => {
+    const hashes = await Promise.all(['base64', 'utf8', 'source', 'binary'].map(async format => (await create('counter', cenc.uint, {}, undefined, { format })).hash));
+    t.is(new Set(hashes).size, 1, "The hash should not depend on the transport format");
+
+    const { uri } = await create('counter', cenc.uint, {}, undefined, { format: 'utf8' });
+    t.ok(uri.startsWith('data:text/javascript;charset=utf-8,'), "The UTF-8 format should be a percent-encoded data URI");
+
+    const { uri: base64Uri } = await create('counter', cenc.uint);
+    const { bundle } = await create('counter', cenc.uint, {}, undefined, { format: 'binary' });
+    t.ok(bundle.byteLength < base64Uri.length, "The binary bundle should be smaller than the base64 URI");
+
+    await t.exception(create('counter', cenc.uint, {}, undefined, { format: 'zip' }), /Unknown module format/);
+});
+
+test("binary bundles can travel inside compact-encoding messages", async t => {
+    const { bundle, hash } = await create('counter', struct({ count: cenc.uint }), {}, undefined, { format: 'binary' });
+
+    const message = cenc.encode(cenc.array(cenc.buffer), [bundle]);
+    const [received] = cenc.decode(cenc.array(cenc.buffer), message);
+
+    const encoder = await load(received, hash);
+    t.alike(cenc.decode(encoder, cenc.encode(encoder, { count: 7 })), { count: 7 }, "The bundle should load after a round trip through a message");
+    t.is(inspect(received).name, 'counter', "Bundles can be inspected");
+});
+
+test("tagged payloads are decoded with the encoder that wrote them", async t => {
+    const v1 = await create('point', struct({ x: cenc.uint }));
+    const v2 = await create('point', struct({ x: cenc.uint, y: cenc.uint }));
+    const encoders = {
+        [v1.hash]: await load(v1.uri, v1.hash),
+        [v2.hash]: await load(v2.uri, v2.hash)
+    };
+
+    // Step 1: Write values from two encoder versions into one log
+    const log = [
+        cenc.encode(tagged(encoders[v1.hash]), { x: 1 }),
+        cenc.encode(tagged(encoders[v2.hash]), { x: 2, y: 3 })
+    ];
+
+    // Step 2: Read them back, resolving encoders by hash
+    const values = await Promise.all(log.map(buffer => decodeAny(buffer, hash => encoders[hash])));
+    t.alike(values, [{ x: 1 }, { x: 2, y: 3 }], "Each payload should be decoded with its own encoder");
+
+    // Step 3: Resolvers may return modules to load instead
+    t.alike(await decodeAny(log[1], hash => hash === v2.hash && { module: v2.uri }), { x: 2, y: 3 }, "Resolved modules should be loaded");
+
+    // Step 4: Decoding with the wrong tagged encoder fails clearly
+    t.exception(() => cenc.decode(tagged(encoders[v1.hash]), log[1]), /use decodeAny/);
+    await t.exception(decodeAny(log[0]), /No encoder found/);
+});
+
+test("tagged payloads can embed their encoder module", async t => {
+    const created = await create('point', struct({ x: cenc.uint }));
+    const encoder = await load(created.uri, created.hash);
+
+    const plain = cenc.encode(tagged(encoder), { x: 5 });
+    const embedded = cenc.encode(tagged(encoder, { module: created.uri }), { x: 5 });
+    t.ok(embedded.byteLength > plain.byteLength, "Embedding should include the module bytes");
+
+    // An embedded module only runs once the caller approves its hash
+    const rejected = await decodeAny(embedded).catch(error => error);
+    t.ok(rejected instanceof UntrustedModuleError, "Unapproved embedded modules should be rejected");
+    t.is(rejected.hash, created.hash);
+    await t.exception(decodeAny(embedded, () => false), /has not been approved/);
+    t.alike(await decodeAny(embedded, hash => hash === created.hash), { x: 5 }, "The resolver can approve the embedded module");
+    t.alike(await decodeAny(embedded, undefined, { trustedHashes: [created.hash] }), { x: 5 }, "Trusted hashes approve the embedded module");
+
+    // An embedded module that doesn't match the payload's hash is caught by load's integrity check
+    const other = await create('point', struct({ x: cenc.int }));
+    const tampered = cenc.encode(tagged(encoder, { module: other.uri }), { x: 5 });
+    await t.exception(decodeAny(tampered, () => true), /hash mismatch/, "Tampered embedded modules should be rejected");
+});
+
+test("tagged payloads can carry a publisher signature for their embedded module", async t => {
+    const publisher = await generateKeyPair();
+    const stranger = await generateKeyPair();
+    const created = await create('point', struct({ x: cenc.uint }), {}, undefined, { sign: publisher });
+    const encoder = await load(created.uri, created.hash);
+
+    const { signature, publicKey } = created;
+    const signed = cenc.encode(tagged(encoder, { module: created.uri, signature, publicKey }), { x: 7 });
+    t.alike(await decodeAny(signed, undefined, { trustedKeys: [publisher.publicKey] }), { x: 7 }, "Modules signed by a trusted key should load");
+    await t.exception(decodeAny(signed, undefined, { trustedKeys: [stranger.publicKey] }), /publisher key is not trusted/);
+
+    // Unsigned payloads can't be approved by keys alone
+    const unsigned = cenc.encode(tagged(encoder, { module: created.uri }), { x: 7 });
+    await t.exception(decodeAny(unsigned, undefined, { trustedKeys: [publisher.publicKey] }), /module is unsigned/);
+});
+
+test("lineage decodes payloads from every version into the latest shape", async t => {
+    // Step 1: Three versions of a message, each migrating from the one before
+    const v1 = await createVersion('message', struct({ text: cenc.string }));
+    const v2 = await createVersion('message', struct({ text: cenc.string, lang: cenc.string }), {
+        version: 2,
+        previous: v1,
+        upgrade(value) {
+            return { ...value, lang: "en" };
+        },
+        downgrade(value) {
+            return { text: value.text };
+        }
+    });
+    const v3 = await createVersion('message', struct({ body: cenc.string, lang: cenc.string }), {
+        version: 3,
+        previous: v2.hash,
+        upgrade: value => ({ body: value.text, lang: value.lang }),
+        downgrade: value => ({ text: value.body, lang: value.lang })
+    });
+
+    // Step 2: Load the whole chain, in any order
+    const lineage = await loadLineage([v3, v1, v2]);
+    t.is(lineage.version, 3, "The latest version should be used for writing");
+
+    // Step 3: Payloads written by older versions come back upgraded
+    const old = cenc.encode(lineage.at(1), { body: "hi", lang: "en" });
+    t.alike(cenc.decode(lineage, old), { body: "hi", lang: "en" }, "Version 1 payloads should be upgraded");
+    t.alike(cenc.decode(lineage, cenc.encode(lineage.at(2), { body: "hej", lang: "sv" })), { body: "hej", lang: "sv" }, "Version 2 payloads should be upgraded");
+    t.alike(cenc.decode(lineage, cenc.encode(lineage, { body: "hola", lang: "es" })), { body: "hola", lang: "es" }, "Latest payloads should round trip");
+
+    // Step 4: Older encoders read the downgraded payload directly
+    const v1Encoder = lineage.versions[0];
+    t.alike(cenc.decode(v1Encoder, old.subarray(1)), { text: "hi" }, "Downgraded payloads should match the old shape");
+});
+
+test("lineage checks the integrity of the whole chain", async t => {
+    const v1 = await createVersion('counter', struct({ n: cenc.uint }));
+    const v2 = await createVersion('counter', struct({ n: cenc.uint, step: cenc.uint }), { version: 2, previous: v1, upgrade: value => ({ ...value, step: 1 }) });
+    const forked = await createVersion('counter', struct({ n: cenc.uint }), { version: 2, previous: 'not-v1', upgrade: value => value });
+
+    await t.exception(loadLineage([v2]), /missing version 1/, "Chains must start at version 1");
+    await t.exception(loadLineage([v1, forked]), /does not link to version 1/, "Each version must link to the one before");
+    await t.exception(loadLineage([v1, { ...v2, hash: v1.hash }]), /hash mismatch/, "Every module must match its hash");
+    await t.exception(loadLineage([]), /at least one version/, "Empty chains should be rejected");
+    await t.exception(loadLineage(), /at least one version/, "Missing chains should be rejected");
+    await t.exception(createVersion('counter', cenc.uint, { version: 2 }), /needs the previous version and an upgrade/);
+
+    // Migrations are covered by the hash
+    const otherV2 = await createVersion('counter', struct({ n: cenc.uint, step: cenc.uint }), { version: 2, previous: v1, upgrade: value => ({ ...value, step: 2 }) });
+    t.not(otherV2.hash, v2.hash, "Changing a migration should change the hash");
+});
+
+test("compatibility checker reports which directions round trip", async t => {
+    // Step 1: Adding an enum value lets the new encoder read old data, but not the other way around
+    const statusSchema = values => ({ type: 'struct', fields: { state: { type: 'enum', values }, count: 'uint' } });
+    const before = await createFromSchema('status', statusSchema(['on', 'off']));
+    const after = await createFromSchema('status', statusSchema(['on', 'off', 'broken']));
+
+    const report = await checkCompatibility(before, after, { values: [{ state: 'broken', count: 1 }], seed: 1 });
+    t.is(report.status, "backward-only", "The new encoder should decode data written by the old one");
+    t.ok(report.backward.ok && report.backward.checked > 0, "Generated samples should be checked");
+    t.alike(report.forward.failure.value, { state: 'broken', count: 1 }, "The first failing value should be reported");
+    t.ok(/Invalid enum value/.test(report.forward.failure.error), "The decode error should be reported");
+    t.is((await checkCompatibility(after, before, { seed: 1 })).status, "forward-only");
+
+    // Step 2: Identical layouts are compatible, even under different names
+    const renamed = await createFromSchema('status-v2', statusSchema(['on', 'off']));
+    t.is((await checkCompatibility(before, renamed, { samples: 20 })).status, "compatible");
+
+    // Step 3: Without schemas only the supplied values are checked
+    const small = await create('n', { encode: (state, m) => cenc.uint.encode(state, m), decode: state => cenc.uint.decode(state), preencode: (state, m) => cenc.uint.preencode(state, m) });
+    const fixed = await create('n', { encode: (state, m) => cenc.uint32.encode(state, m), decode: state => cenc.uint32.decode(state), preencode: (state, m) => cenc.uint32.preencode(state, m) });
+    const values = await checkCompatibility(small, fixed, { values: [1, 300] });
+    t.is(values.status, "incompatible", "Different layouts should be incompatible");
+    t.is(values.backward.failure.value, 1);
+    await t.exception(checkCompatibility(small, fixed), /Nothing to compare/);
+
+    // Step 4: Shared dependencies serve both sides, even when only one of them uses a dependency
+    const plain = await create('word', { encode: (state, m) => cenc.string.encode(state, m), decode: state => cenc.string.decode(state), preencode: (state, m) => cenc.string.preencode(state, m) });
+    const shouting = await create('word', { encode: (state, m) => cenc.string.encode(state, up(m)), decode: state => cenc.string.decode(state), preencode: (state, m) => cenc.string.preencode(state, up(m)) }, { up: m => m.toUpperCase() });
+    const shared = await checkCompatibility(plain, shouting, { values: ['A', 'b'], dependencies: { up: m => m.toUpperCase() } });
+    t.is(shared.status, "backward-only", "Both sides should load with the shared dependencies");
+});
+
+test("arbitrary generates reproducible values for a schema", async t => {
+    const schema = { type: 'struct', fields: { id: 'uint', tags: { type: 'array', item: 'string' }, note: { type: 'optional', item: 'buffer' } } };
+    const { uri, hash } = await createFromSchema('doc', schema);
+    const encoder = await load(uri, hash);
+    const generate = arbitrary(schema);
+
+    const run = random => Array.from({ length: 20 }, () => generate(random));
+    const first = run(createRandom(7));
+    t.alike(first, run(createRandom(7)), "The same seed should generate the same values");
+    for (const value of first) {
+        t.alike(cenc.decode(encoder, cenc.encode(encoder, value)), value);
+    }
+    t.exception(() => arbitrary({ type: 'struct', fields: { x: 'frame' } }), /Cannot generate sample values/);
+});
+
+test("verify passes encoders that round trip", async t => {
+    const { uri, hash } = await createFromSchema('profile', {
+        type: 'struct',
+        fields: { id: 'uint', name: 'string', scores: { type: 'array', item: 'int' }, avatar: { type: 'optional', item: 'buffer' } }
+    });
+    const result = verify(await load(uri, hash), { seed: 1 });
+    t.ok(result.ok, "Schema encoders should round trip generated values");
+    t.is(result.runs, 100);
+
+    // The JSON encoder from the readme
+    const jsonEncoder = {
+        encode(state, value) {
+            cenc.string.encode(state, JSON.stringify(value));
+        },
+        decode(state) {
+            return JSON.parse(cenc.string.decode(state));
+        },
+        preencode(state, value) {
+            cenc.string.preencode(state, JSON.stringify(value));
+        }
+    };
+    const created = await create('jsonEncoder', jsonEncoder);
+    t.ok(verify(await load(created.uri, created.hash), { values: [{ foo: "bar" }, [1, "two"]] }).ok);
+});
+
+test("verify reports and shrinks failing values", async t => {
+    // preencode reserves too little for values above 252
+    const short = {
+        preencode(state) { state.end += 1; },
+        encode(state, m) { cenc.uint.encode(state, m); },
+        decode(state) { return cenc.uint.decode(state); }
+    };
+    const length = verify(short, { arbitrary: random => random.integer(0, 100000), seed: 2 });
+    t.is(length.failure.check, "length");
+    t.is(length.failure.value, 253, "The failing value should be shrunk to the smallest one");
+
+    // Values above 255 don't fit
+    const lossy = {
+        preencode(state, m) { cenc.uint8.preencode(state, m.n); },
+        encode(state, m) { cenc.uint8.encode(state, m.n); },
+        decode(state) { return { n: cenc.uint8.decode(state) }; }
+    };
+    const roundtrip = verify(lossy, { arbitrary: random => ({ n: random.integer(0, 1000) }), seed: 3 });
+    t.is(roundtrip.failure.check, "roundtrip");
+    t.alike(roundtrip.failure.value, { n: 256 });
+
+    // Encoders that replace state.buffer don't follow compact-encoding
+    t.is(verify(customEncoder1, { values: [{ foo: "bar" }] }).failure.check, "length");
+
+    // Damaged payloads must be rejected with errors
+    const throwsStrings = {
+        preencode(state, m) { cenc.uint32.preencode(state, m); },
+        encode(state, m) { cenc.uint32.encode(state, m); },
+        decode(state) {
+            if (state.end - state.start < 4) throw "short";
+            return cenc.uint32.decode(state);
+        }
+    };
+    const truncated = verify(throwsStrings, { values: [7] });
+    t.is(truncated.failure.check, "truncated");
+    t.ok(/non-error value/.test(truncated.failure.message));
+
+    // Decoders that never return on damaged payloads are interrupted
+    const loops = {
+        preencode(state, m) { cenc.uint32.preencode(state, m); },
+        encode(state, m) { cenc.uint32.encode(state, m); },
+        decode(state) {
+            while (state.end - state.start < 4) {
+                // Waits forever for bytes that never come
+            }
+            return cenc.uint32.decode(state);
+        }
+    };
+    const hanging = verify(loops, { values: [7], timeout: 20 });
+    t.is(hanging.failure.check, "truncated");
+    t.ok(/took longer than 20ms/.test(hanging.failure.message));
+
+    t.exception(() => verify(lossy), /needs values, an arbitrary generator/);
+});
+
+// Run the command-line tool with in-memory streams
+async function cli(args, input = "") {
+    let stdout = "";
+    let stderr = "";
+    const sink = write => new Writable({ write(chunk, encoding, done) { write(chunk.toString()); done(); } });
+    const code = await run(args, {
+        stdin: Readable.from([input]),
+        stdout: sink(chunk => { stdout += chunk; }),
+        stderr: sink(chunk => { stderr += chunk; })
+    });
+    return { code, stdout, stderr };
+}
+
+test("command-line tool creates, inspects, verifies and converts", async t => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dynamic-encoder-'));
+    t.teardown(() => fs.rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'point.js');
+    await fs.writeFile(file, `export const name = "point";\nexport const schema = { type: "struct", fields: { x: "int", y: "int" } };\n`);
+
+    // Step 1: Create a module from a file
+    const created = await cli(['create', file, '--json']);
+    t.is(created.code, 0);
+    const { uri, hash, name } = JSON.parse(created.stdout);
+    t.is(name, 'point');
+    t.ok((await load(uri, hash)).encode, "The created module should load");
+
+    // Step 2: Inspect and verify without running it
+    t.is(JSON.parse((await cli(['inspect', uri, '--json'])).stdout).hash, hash);
+    t.ok((await cli(['inspect', uri])).stdout.startsWith("name: point\n"), "Text output should be line based");
+    t.alike(await cli(['verify', uri, hash]), { code: 0, stdout: "ok\n", stderr: "" });
+    t.is((await cli(['verify', uri, 'not-the-hash'])).code, 1, "A mismatched hash should fail");
+
+    // Step 3: Modules can also be read from files
+    const moduleFile = path.join(directory, 'point.uri');
+    await fs.writeFile(moduleFile, uri);
+
+    // Step 4: Convert JSON to bytes and back
+    const encoded = await cli(['encode', moduleFile, hash], '{"x": -3, "y": 4}');
+    t.is(encoded.stdout, "0508\n");
+    const decoded = await cli(['decode', moduleFile, hash, '--encoding', 'base64'], b4a.toString(b4a.from("0508", "hex"), "base64"));
+    t.alike(JSON.parse(decoded.stdout), { x: -3, y: 4 });
+    t.ok((await cli(['decode', moduleFile, 'not-the-hash'], '0508')).stderr.startsWith('ERR_HASH_MISMATCH: '), "Errors should be reported with their code");
+
+    // Step 5: Usage errors exit with 2
+    t.is((await cli(['bogus'])).code, 2);
+    t.is((await cli(['encode', uri])).code, 2);
+});
+
+test("command-line tool reads back every module format it creates", async t => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dynamic-encoder-'));
+    t.teardown(() => fs.rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'point.js');
+    // The module source spells out "export default", which must not make a binary bundle look like source
+    await fs.writeFile(file, `export const name = "point";\nexport const schema = { type: "struct", fields: { x: "int", y: "int" } };\n`);
+
+    for (const format of ['base64', 'utf8', 'source', 'binary']) {
+        const created = JSON.parse((await cli(['create', file, '--format', format, '--json'])).stdout);
+        const printed = created.uri || created.source || created.bundle;
+        const files = { printed: path.join(directory, `point.${format}`) };
+        await fs.writeFile(files.printed, printed);
+        if (format === 'binary') {
+            files.bytes = path.join(directory, 'point.bin');
+            await fs.writeFile(files.bytes, b4a.from(created.bundle, 'base64'));
+        }
+
+        for (const moduleFile of Object.values(files)) {
+            const label = `${format} module read from ${path.basename(moduleFile)}`;
+            t.alike(await cli(['verify', moduleFile, created.hash]), { code: 0, stdout: "ok\n", stderr: "" }, `${label} should verify`);
+            t.is(JSON.parse((await cli(['inspect', moduleFile, '--json'])).stdout).hash, created.hash, `${label} should inspect`);
+            const encoded = await cli(['encode', moduleFile, created.hash], '{"x": -3, "y": 4}');
+            t.is(encoded.stdout, "0508\n", `${label} should encode`);
+            t.alike(JSON.parse((await cli(['decode', moduleFile, created.hash], '0508')).stdout), { x: -3, y: 4 }, `${label} should decode`);
+        }
+    }
+});
+
+test("bundle several encoders into one module", async t => {
+    const double = x => x * 2;
+    const scaled = {
+        encode(state, m) { cenc.uint.encode(state, double(m)); },
+        decode(state) { return cenc.uint.decode(state) / 2; },
+        preencode(state, m) { cenc.uint.preencode(state, double(m)); }
+    };
+
+    // Step 1: Shared dependencies are emitted once for the whole bundle
+    const bundle = await createBundle({ point: struct({ x: cenc.int, y: cenc.int }), scaled }, { double, limit: 10 }, undefined, { name: 'protocol' });
+    const source = b4a.toString(b4a.from(bundle.uri.split(',')[1], 'base64'));
+    t.is(source.split('return $0 * 2;').length, 2, "Function dependencies should appear once");
+    t.alike(Object.keys(bundle.members), ['point', 'scaled'], "Every member should get its own hash");
+
+    // Step 2: Load every member as a ready compact encoder
+    const loaded = await loadBundle(bundle.uri, bundle.hash, { double });
+    t.is(loaded.name, 'protocol');
+    t.alike(loaded.hashes, bundle.members);
+    t.alike(cenc.decode(loaded.encoders.point, cenc.encode(loaded.encoders.point, { x: 1, y: -2 })), { x: 1, y: -2 });
+    t.is(cenc.decode(loaded.encoders.scaled, cenc.encode(loaded.encoders.scaled, 21)), 21);
+
+    // Step 3: Pick members, optionally pinning their hashes
+    const picked = await loadBundle(bundle.uri, bundle.hash, { double }, undefined, { members: { point: bundle.members.point } });
+    t.alike(Object.keys(picked.encoders), ['point']);
+    await t.exception(loadBundle(bundle.uri, bundle.hash, { double }, undefined, { members: { point: bundle.members.scaled } }), /does not match the expected hash/);
+    await t.exception(loadBundle(bundle.uri, bundle.hash, { double }, undefined, { members: ['missing'] }), /no member "missing"/);
+
+    // Step 4: Member hashes only change with the member
+    const changed = await createBundle({ point: struct({ x: cenc.int, y: cenc.int }), scaled: struct({ n: cenc.uint }) }, { double, limit: 10 });
+    t.is(changed.members.point, bundle.members.point, "Unchanged members should keep their hash");
+    t.not(changed.members.scaled, bundle.members.scaled);
+
+    // Step 5: The bundle hash is still checked, and plain modules are not bundles
+    await t.exception(loadBundle(bundle.uri, changed.hash, { double }), /hash mismatch/);
+    const single = await create('point', struct({ x: cenc.int }));
+    await t.exception(loadBundle(single.uri, single.hash), /not an encoder bundle/);
+});
+
+test("hash tree allows replacing chosen leaves", async t => {
+    const slowUpper = value => value.split('').map(c => c.toUpperCase()).join('');
+    const encoder = {
+        encode(state, value) { cenc.string.encode(state, upper(value)); },
+        decode(state) { return cenc.string.decode(state); },
+        preencode(state, value) { cenc.string.preencode(state, upper(value)); }
+    };
+
+    // Step 1: Every function gets a leaf, dependencies in their own namespace, and the root covers them all
+    const created = await create('shout', encoder, { upper: slowUpper });
+    t.alike(Object.keys(created.tree.leaves).sort(), ['decode', 'dep:upper', 'encode', 'module', 'preencode']);
+    const { root } = created.tree;
+
+    // Step 2: Local dependency implementations must match their leaf unless they replace it
+    const fastUpper = value => value.toUpperCase();
+    const options = { hashTree: created.tree };
+    const slow = await load(created.uri, root, { upper: slowUpper }, undefined, options);
+    t.is(cenc.decode(slow, cenc.encode(slow, 'hi')), 'HI', "Matching dependencies should load");
+    await t.exception(load(created.uri, root, { upper: fastUpper }, undefined, options), /"upper" does not match its leaf "dep:upper"/);
+    const fast = await load(created.uri, root, {}, undefined, { ...options, replaceable: { 'dep:upper': fastUpper } });
+    t.is(cenc.decode(fast, cenc.encode(fast, 'hey')), 'HEY', "The replacement should be used");
+    t.is(fast.upper, fastUpper, "The replacement should also be the encoder's property");
+
+    // Step 3: A module with a different encode only loads when encode is replaced, and the remote encode never runs
+    const remoteEncode = (state, value) => { throw new Error(`remote encode ran for ${value}`); };
+    const optimized = await create('shout', { ...encoder, encode: remoteEncode }, { upper: slowUpper });
+    t.is(optimized.tree.leaves.decode, created.tree.leaves.decode, "Unchanged functions should keep their leaf");
+    t.not(optimized.tree.root, root);
+    await t.exception(load(optimized.uri, root, { upper: slowUpper }, undefined, options), /"encode" does not match its leaf/);
+    const localEncode = (state, value) => cenc.string.encode(state, slowUpper(value));
+    const replaced = await load(optimized.uri, root, { upper: slowUpper }, undefined, { ...options, replaceable: { encode: localEncode } });
+    t.is(cenc.decode(replaced, cenc.encode(replaced, 'yo')), 'YO', "The local encode should run instead of the remote one");
+    const sandboxed = await load(optimized.uri, root, { upper: slowUpper }, undefined, { ...options, sandbox: true, replaceable: { encode: localEncode } });
+    t.is(cenc.decode(sandboxed, cenc.encode(sandboxed, 'yo')), 'YO', "Replacements should work in the sandbox too");
+
+    // Step 4: Replaceable leaves need a local function, and the module leaf is never replaceable
+    await t.exception(load(optimized.uri, root, { upper: slowUpper }, undefined, { ...options, replaceable: ['encode'] }), /maps leaves to the local functions/);
+    await t.exception(load(optimized.uri, root, { upper: slowUpper }, undefined, { ...options, replaceable: { encode: true } }), /needs a local function/);
+    await t.exception(load(optimized.uri, root, { upper: slowUpper }, undefined, { ...options, replaceable: { upper: fastUpper } }), /no leaf "upper"/);
+    await t.exception(load(optimized.uri, root, { upper: slowUpper }, undefined, { ...options, replaceable: { module: () => {} } }), /module leaf cannot be replaceable/);
+    const renamed = await create('whisper', encoder, { upper: slowUpper });
+    const everyFunction = { encode: localEncode, decode: encoder.decode, preencode: encoder.preencode };
+    await t.exception(load(renamed.uri, root, { upper: slowUpper }, undefined, { ...options, replaceable: everyFunction }), /"module" does not match its leaf/);
+    await t.exception(load(created.uri, root, { upper: slowUpper }, undefined, { hashTree: optimized.tree }), /does not match its root/);
+});
+
+test("function source is canonicalized before hashing", async t => {
+    const methods = {
+        encode(state, value) {
+            // Write the value
+            cenc.string.encode(state, 'v:' + value);
+        },
+        decode (state) { return cenc.string.decode(state).slice(2); },
+        ['preencode'](state, value) {
+            cenc.string.preencode(state, "v:" + value);
+        }
+    };
+    const minified = {
+        encode: function(s,v){cenc.string.encode(s,"v:"+v)},
+        decode: function(s){return cenc.string.decode(s).slice(2)},
+        preencode: function(s,v){cenc.string.preencode(s,'v:'+v)}
+    };
+    const expressions = {
+        encode: function (state, value) { cenc.string.encode(state, "v:" + value); },
+        decode: function (state) {
+            return cenc.string.decode(state).slice(0x2);
+        },
+        preencode: function (state, value) { cenc.string.preencode(state, "v:" + value) }
+    };
+
+    // Step 1: Formatting, comments, quotes and method syntax don't change the hash
+    const { uri, hash } = await create('prefixed', methods);
+    t.is((await create('prefixed', expressions)).hash, hash, "Method and function expression syntax should hash the same");
+
+    // Step 2: Minified code, with renamed parameters and locals, named function expressions and arrows, hashes the same
+    t.is((await create('prefixed', minified)).hash, hash, "Minified and unminified sources should hash the same");
+    const named = {
+        encode: function encode(state, value) { cenc.string.encode(state, "v:" + value); },
+        decode: function decode(s) { const text = cenc.string.decode(s); return text.slice(2); },
+        preencode: (s, v) => { cenc.string.preencode(s, "v:" + v); }
+    };
+    const locals = {
+        ...methods,
+        decode(state) { const decoded = cenc.string.decode(state); return decoded.slice(2); }
+    };
+    t.is((await create('prefixed', named)).hash, (await create('prefixed', locals)).hash, "Named functions, arrows and methods should hash the same");
+
+    // Names read from outside the function, property names and functions that use `this` keep their meaning
+    const shadowing = { ...methods, decode(state) { const { start, $0 } = { start: state.start, $0: 2 }; return cenc.string.decode(state).slice($0 + start * 0); } };
+    const shadowed = await create('prefixed', shadowing);
+    const shadowedEncoder = await load(shadowed.uri, shadowed.hash);
+    t.is(cenc.decode(shadowedEncoder, cenc.encode(shadowedEncoder, 'x')), 'x', "Renamed locals should not capture names from outside");
+    t.not((await create('prefixed', { ...methods, encode: function (state, value) { this.preencode; cenc.string.encode(state, 'v:' + value); } })).hash, hash);
+    const recursive = { ...methods, decode: function read(state) { return state ? read(null) : 'x'; } };
+    const recursed = await create('prefixed', recursive);
+    t.is((await load(recursed.uri, recursed.hash)).decode(cenc.state()), 'x', "Functions that call themselves by name keep a name");
+
+    // Step 3: Any semantic change still changes the hash
+    const changed = { ...methods, decode(state) { return cenc.string.decode(state).slice(3); } };
+    t.not((await create('prefixed', changed)).hash, hash, "Changing the code should change the hash");
+
+    const encoder = await load(uri, hash);
+    t.is(cenc.decode(encoder, cenc.encode(encoder, 'x')), 'x', "Canonical source should still run");
+
+    // Step 4: Functions without parseable source can't be serialized
+    await t.exception(create('native', { ...methods, encode: Math.max }), /not a parseable function/);
+
+    // Step 5: Methods using super and accessors would change meaning as plain functions, so they are rejected
+    const base = { decode(state) { return cenc.string.decode(state); } };
+    const derived = Object.setPrototypeOf({
+        decode(state) { return super.decode(state); },
+        preencode(state, value) { return (() => super.preencode(state, value))(); }
+    }, { ...base, preencode: methods.preencode });
+    await t.exception(create('super', { ...methods, decode: derived.decode }), /"decode": it is a method using super/);
+    await t.exception(create('super', { ...methods, preencode: derived.preencode }), /"preencode": it is a method using super/, "super in an arrow should be found");
+    const getter = Object.getOwnPropertyDescriptor({ get decode() { return cenc.string.decode; } }, 'decode').get;
+    await t.exception(create('getter', { ...methods, decode: getter }), /"decode": it is a getter/);
+});
+
+// Collect everything a readable stream produces
+async function collect(readable) {
+    const items = [];
+    for await (const item of readable) items.push(item);
+    return items;
+}
+
+// Split bytes into chunks of 1 to `size` bytes
+function rechunk(bytes, size) {
+    const chunks = [];
+    for (let i = 0, n = 1; i < bytes.byteLength; i += n, n = n % size + 1) chunks.push(bytes.subarray(i, i + n));
+    return chunks;
+}
+
+test("stream values as length-prefixed frames", async t => {
+    const { uri, hash } = await create('entry', struct({ id: cenc.uint, blob: cenc.buffer }));
+    const { encodeStream, decodeStream } = await loadStream(uri, hash);
+
+    // Step 1: Encode values into frames
+    const values = [
+        { id: 1, blob: b4a.from('small') },
+        { id: 2, blob: b4a.alloc(30000, 7) },
+        { id: 3, blob: b4a.from('last') }
+    ];
+    const frames = await collect(ReadableStream.from(values).pipeThrough(encodeStream()));
+    t.is(frames.length, 3, "Every value should become one frame");
+
+    // Step 2: Decode however the bytes are chunked
+    const bytes = b4a.concat(frames);
+    t.alike(await collect(ReadableStream.from(rechunk(bytes, 3)).pipeThrough(decodeStream())), values, "Tiny chunks should decode");
+    t.alike(await collect(ReadableStream.from(rechunk(bytes, 65536)).pipeThrough(decodeStream())), values, "Large chunks should decode");
+
+    // Step 3: Truncated streams and oversized frames are errors
+    await t.exception(collect(ReadableStream.from([bytes.subarray(0, bytes.byteLength - 1)]).pipeThrough(decodeStream())), /middle of a frame/);
+    await t.exception(collect(ReadableStream.from([bytes]).pipeThrough(decodeStream({ maxFrameLength: 1000 }))), /exceeds the maximum/);
+
+    // Step 4: Frames above 1 MiB need a higher limit on both ends, and the writer refuses them first
+    const blob = { id: 4, blob: b4a.alloc(2 * 1024 * 1024, 1) };
+    await t.exception(collect(ReadableStream.from([blob]).pipeThrough(encodeStream())), /Frame of 2097158 bytes exceeds the maximum of 1048576/);
+    const streamOptions = { maxFrameLength: 4 * 1024 * 1024 };
+    const large = b4a.concat(await collect(ReadableStream.from([blob]).pipeThrough(encodeStream(streamOptions))));
+    await t.exception(collect(ReadableStream.from(rechunk(large, 65536)).pipeThrough(decodeStream())), /exceeds the maximum of 1048576/);
+    t.alike(await collect(ReadableStream.from(rechunk(large, 65536)).pipeThrough(decodeStream(streamOptions))), [blob], "Large blobs should round trip with a higher limit");
+});
+
+test("stream encoders may be asynchronous", async t => {
+    const delay = () => new Promise(resolve => setTimeout(resolve, 1));
+    const encoder = {
+        async preencode(state, value) { await delay(); cenc.string.preencode(state, value); },
+        async encode(state, value) { await delay(); cenc.string.encode(state, value); },
+        async decode(state) { await delay(); return cenc.string.decode(state); }
+    };
+    const values = ['one', '', 'three'];
+    const frames = await collect(ReadableStream.from(values).pipeThrough(encodeStream(encoder)));
+    const bytes = b4a.concat(frames);
+    t.alike(await collect(ReadableStream.from(rechunk(bytes, 2)).pipeThrough(decodeStream(encoder))), values, "Async encoders should decode in order");
+
+    // Empty frames decode as soon as their prefix arrives
+    const empty = { preencode() {}, encode() {}, decode: () => null };
+    const emptyFrames = b4a.concat(await collect(ReadableStream.from([1, 2]).pipeThrough(encodeStream(empty))));
+    t.alike(await collect(ReadableStream.from([emptyFrames]).pipeThrough(decodeStream(empty))), [null, null]);
+});
+
+test("write modules as files with declarations and load them from disk", async t => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dynamic-encoder-'));
+    t.teardown(() => fs.rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'encoders', 'user.js');
+
+    // Step 1: Write a real module and its declarations
+    const schema = {
+        type: 'struct',
+        fields: { id: 'uint', name: 'string', tags: { type: 'array', item: 'string' }, role: { type: 'enum', values: ['admin', 'user'] }, avatar: { type: 'optional', item: 'buffer' } }
+    };
+    const created = await createFromSchema('user', schema, { greet: name => `hi ${name}` }, undefined, { file });
+    t.is(created.file, file);
+    t.ok(created.uri, "The data URI should still be returned");
+
+    const declarations = await fs.readFile(created.declarations, 'utf8');
+    t.is(created.declarations, path.join(directory, 'encoders', 'user.d.ts'));
+    t.ok(declarations.includes('"id": number;'));
+    t.ok(declarations.includes('"tags": string[];'));
+    t.ok(declarations.includes('"role": "admin" | "user";'));
+    t.ok(declarations.includes('"avatar": Uint8Array | null;'));
+    t.ok(declarations.includes('export default function factory(cenc: any, b4a: any, greet: (...args: any[]) => any): Encoder;'));
+
+    // Step 2: The file is a plain ES module with the usual factory
+    const { default: factory } = await import(pathToFileURL(file).href);
+    t.is(factory(cenc, b4a, () => {}).hash, created.hash, "The file should embed the hash");
+
+    // Step 3: load accepts `{ file }` paths and file URLs, with the same integrity check
+    const value = { id: 1, name: 'ada', tags: ['x'], role: 'admin', avatar: null };
+    const fromPath = await load({ file }, created.hash, { greet: () => '' });
+    t.alike(cenc.decode(fromPath, cenc.encode(fromPath, value)), value);
+    t.ok(await load(pathToFileURL(file), created.hash, { greet: () => '' }));
+    t.ok(await load(pathToFileURL(file).href, created.hash, { greet: () => '' }));
+    await t.exception(load('deadbeef', created.hash), /hash mismatch/, "Other strings are module source, not paths");
+
+    await fs.writeFile(file, (await fs.readFile(file, 'utf8')).replace('"admin"', '"root"'));
+    await t.exception(load({ file }, created.hash, { greet: () => '' }), /hash mismatch/, "Edited files should be rejected");
+
+    // Without a schema there is no value type to declare
+    t.absent((await create('plain', struct({ n: cenc.uint }), {}, undefined, { file: path.join(directory, 'plain.js') })).declarations);
+});
+
+test("module files are imported from their file URL without data URIs", async t => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dynamic-encoder-'));
+    t.teardown(() => fs.rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'point.js');
+    const swapped = path.join(directory, 'swapped.js');
+    const created = await create('point', struct({ x: cenc.uint }), {}, undefined, { file });
+    await fs.copyFile(file, swapped);
+
+    // A child process whose module loader refuses data: URLs, as some locked down environments do. It also edits
+    // swapped.js if it is ever imported, as if it had been swapped after load checked it.
+    const hooks = path.join(directory, 'hooks.mjs');
+    await fs.writeFile(hooks, `import { appendFile } from "node:fs/promises";
+export async function resolve(specifier, context, next) {
+    if (specifier.startsWith("data:")) throw new Error("data: imports are not allowed");
+    return next(specifier, context);
+}
+export async function load(url, context, next) {
+    if (url.includes("swapped.js")) await appendFile(new URL(url), "\\n// edited");
+    return next(url, context);
+}`);
+    const register = path.join(directory, 'register.mjs');
+    await fs.writeFile(register, `import { register } from "node:module";\nregister(${JSON.stringify(pathToFileURL(hooks).href)});`);
+    const script = path.join(directory, 'script.mjs');
+    await fs.writeFile(script, `import cenc from ${JSON.stringify(import.meta.resolve('compact-encoding'))};
+import { load } from ${JSON.stringify(import.meta.resolve('./index.js'))};
+const report = promise => promise.then(() => "loaded", error => error.message);
+const encoder = await load({ file: ${JSON.stringify(file)} }, ${JSON.stringify(created.hash)});
+console.log(JSON.stringify(cenc.decode(encoder, cenc.encode(encoder, { x: 7 }))));
+console.log(await report(load(${JSON.stringify(created.uri)}, ${JSON.stringify(created.hash)})));
+console.log(await report(load({ file: ${JSON.stringify(swapped)} }, ${JSON.stringify(created.hash)})));`);
+
+    const { stdout } = await execFile(process.execPath, ['--import', pathToFileURL(register).href, script], { timeout: 60000 });
+    const [decoded, refused, changed] = stdout.trim().split('\n');
+    t.alike(JSON.parse(decoded), { x: 7 }, "The file should load without a data: import");
+    t.is(refused, "data: imports are not allowed", "Data URIs should be refused in the child process");
+    t.is(changed, "loaded", "A private copy of the checked source should be imported");
+    t.is(await fs.readFile(swapped, 'utf8'), await fs.readFile(file, 'utf8'), "The module file itself should never be imported");
+});
+
+test("load runs modules against a supplied runtime that satisfies their requirements", async t => {
+    // Step 1: Modules declare the runtime APIs they use
+    const { source } = await create('point', struct({ x: cenc.int, count: cenc.uint }), {}, undefined, { format: 'source' });
+    t.ok(source.includes('requires: {"cenc":{"apis":["int","uint"]}}'), "Used cenc primitives should be declared");
+
+    // Step 2: A cenc extension with an extra primitive
+    const extended = {
+        ...cenc,
+        point2: {
+            preencode(state) { state.end += 2; },
+            encode(state, [x, y]) { state.buffer[state.start++] = x; state.buffer[state.start++] = y; },
+            decode(state) { return [state.buffer[state.start++], state.buffer[state.start++]]; }
+        }
+    };
+    const encoder = {
+        preencode(state, value) { cenc.point2.preencode(state, value); },
+        encode(state, value) { cenc.point2.encode(state, value); },
+        decode(state) { return cenc.point2.decode(state); }
+    };
+    const created = await create('pair', encoder, {}, undefined, { runtime: { cenc: '^2.10.0' } });
+
+    await t.exception(load(created.uri, created.hash), /cenc is missing point2/, "The bundled runtime lacks the primitive");
+    await t.exception(load(created.uri, created.hash, {}, undefined, { runtime: { cenc: extended } }), /declares no cenc version/);
+    await t.exception(load(created.uri, created.hash, {}, undefined, { runtime: { cenc: extended, versions: { cenc: '3.0.0' } } }), /cenc 3.0.0 is outside \^2.10.0/);
+
+    const pair = await load(created.uri, created.hash, {}, undefined, { runtime: { cenc: extended, versions: { cenc: '2.16.1' } } });
+    t.alike(cenc.decode(pair, cenc.encode(pair, [3, 4])), [3, 4], "The supplied runtime should be injected");
+
+    // Step 3: A b4a polyfill replaces only b4a
+    let calls = 0;
+    const polyfill = { ...b4a, from(...args) { calls++; return b4a.from(...args); } };
+    const text = await create('text', {
+        preencode(state, value) { cenc.buffer.preencode(state, b4a.from(value)); },
+        encode(state, value) { cenc.buffer.encode(state, b4a.from(value)); },
+        decode(state) { return b4a.toString(cenc.buffer.decode(state)); }
+    });
+    const withPolyfill = await load(text.uri, text.hash, {}, undefined, { runtime: { b4a: polyfill } });
+    t.is(cenc.decode(withPolyfill, cenc.encode(withPolyfill, 'hi')), 'hi');
+    t.ok(calls > 0, "The polyfill should be used");
+
+    await t.exception(create('bad', encoder, {}, undefined, { runtime: { cenc: 'two' } }), /Invalid version/);
+});
+
+test("version ranges are tokenized strictly", async t => {
+    // Step 1: Operators may be followed by a space
+    t.ok(satisfies('1.3.0', '>= 1.2.0'), "A spaced comparator should be a lower bound");
+    t.absent(satisfies('1.1.9', '>= 1.2.0'));
+    t.ok(satisfies('1.9.9', '>=1.2.0 < 2'));
+    t.absent(satisfies('2.0.0', '> 1.2.0 < 2'));
+    t.ok(satisfies('2.3.0', '~ 2.3 || ^ 3.1'));
+    t.ok(satisfies('3.4.0', '~ 2.3 || ^ 3.1'));
+
+    // Step 2: Hyphen ranges include both ends, and a partial upper end covers what it names
+    t.ok(satisfies('1.2.0', '1.2 - 2.3.4'));
+    t.ok(satisfies('2.3.4', '1.2 - 2.3.4'));
+    t.absent(satisfies('2.3.5', '1.2 - 2.3.4'));
+    t.ok(satisfies('2.9.0', '1.2 - 2'));
+    t.absent(satisfies('3.0.0', '1.2 - 2'));
+
+    // Step 3: Prerelease runtime versions are outside every range
+    t.absent(satisfies('2.0.0-rc.1', '>=1'));
+
+    // Step 4: Anything unrecognized is rejected instead of read as something else
+    for (const range of ['>=', '>= ', '=>1', '==1', '1.2.3 -', '- 1.2.3', '>=1 - 2', '1 - 2 - 3', 'two', '>=1.2.0-beta', '1.2.3.4', '<*']) {
+        t.exception(() => satisfies('1.2.3', range), /Invalid version range/, `"${range}" should be rejected`);
+    }
+    await t.exception(create('bad', { preencode() {}, encode() {}, decode() {} }, {}, undefined, { runtime: { cenc: '>= ' } }), /Operator ">=" is missing its version/);
+});
+
+// Two connected `{ readable, writable }` stream pairs
+function duplexPair() {
+    const ab = new TransformStream();
+    const ba = new TransformStream();
+    return [{ readable: ba.readable, writable: ab.writable }, { readable: ab.readable, writable: ba.writable }];
+}
+
+test("peers exchange encoders by hash", async t => {
+    const publisher = await generateKeyPair();
+    const point = await create('point', struct({ x: cenc.int, y: cenc.int }), {}, undefined, { sign: publisher });
+    const label = await create('label', struct({ text: cenc.string }), {}, undefined, { sign: publisher });
+    const unsigned = await create('unsigned', struct({ n: cenc.uint }));
+    const other = await create('other', struct({ n: cenc.int }));
+
+    const serving = createRegistry();
+    await serving.add('point', '1.0.0', point);
+    await serving.add('label', '1.0.0', label);
+    await serving.add('unsigned', '1.0.0', unsigned);
+    await serving.add('forged', '1.0.0', { uri: other.uri, hash: label.hash.replace(/^./, c => c === 'a' ? 'b' : 'a') });
+
+    const receiving = createRegistry();
+    const [left, right] = duplexPair();
+    t.exception(() => createPeer(left), /needs a registry/, "Options are required, but leaving them out is a clear error");
+    const server = createPeer(left, { registry: serving });
+    const client = createPeer(right, { registry: receiving, loadOptions: { trustedKeys: [publisher.publicKey] } });
+
+    // Step 1: Peers advertise what they hold
+    await client.ready;
+    t.ok(client.remote.has(point.hash), "Advertised hashes should be known");
+    t.is(client.remote.size, 4);
+
+    // Step 2: Fetch an encoder by hash; it is verified, registered and ready to use
+    const encoder = await client.fetch(point.hash);
+    t.alike(cenc.decode(encoder, cenc.encode(encoder, { x: 1, y: -1 })), { x: 1, y: -1 });
+    t.is((await receiving.getByHash(point.hash)).name, 'point', "Fetched encoders should be registered");
+    t.ok((await receiving.getByHash(point.hash)).signature, "The signature should be kept");
+
+    // Step 3: Modules that fail verification are rejected
+    await t.exception(client.fetch(unsigned.hash), /module is unsigned/);
+    await t.exception(client.fetch([...client.remote].find(hash => ![point.hash, label.hash, unsigned.hash].includes(hash))), /hash mismatch/);
+    await t.exception(client.fetch('0'.repeat(64)), /does not have encoder/);
+    t.absent(await receiving.getByHash(unsigned.hash), "Rejected encoders should not be registered");
+
+    // Step 4: Sync fetches whatever is still missing and reports failures
+    const { encoders, errors } = await client.sync();
+    t.alike(Object.keys(encoders), [label.hash], "Valid encoders should be synced");
+    t.is(Object.keys(errors).length, 2, "Failed fetches should be reported");
+    t.ok(await receiving.getByHash(label.hash));
+
+    await client.close();
+    await server.close();
+    await t.exception(client.fetch(label.hash), /closed/);
+});
+
+test("peers only load and register modules the caller approves", async t => {
+    const point = await create('point', struct({ x: cenc.int, y: cenc.int }));
+    const label = await create('label', struct({ text: cenc.string }));
+    const count = await create('count', struct({ n: cenc.uint }));
+    const taken = await create('label', struct({ text: cenc.string, size: cenc.uint }));
+
+    const serving = createRegistry();
+    await serving.add('point', '1.0.0', point);
+    await serving.add('label', '1.0.0', label);
+    await serving.add('count', '1.0.0', count);
+    await serving.add('apoint', '1.0.0', point);  // Sent first for its hash, under a name the module doesn't declare
+
+    // Step 1: Without approval nothing the peer sends is loaded, not even explicitly fetched hashes
+    const untrusted = createRegistry();
+    let [left, right] = duplexPair();
+    let server = createPeer(left, { registry: serving });
+    let client = createPeer(right, { registry: untrusted });
+    await client.ready;
+    await t.exception(client.fetch(label.hash), /has not been approved/);
+    const refused = await client.sync();
+    t.alike(Object.keys(refused.encoders), [], "Unapproved modules should not be loaded");
+    t.ok(Object.values(refused.errors).every(error => error.code === 'ERR_UNTRUSTED_MODULE'), "Each module should be refused");
+    t.alike(await untrusted.list(), [], "Unapproved modules should not be registered");
+    await client.close();
+    await server.close();
+
+    // Step 2: An approval callback sees each module before it runs; conflicts are reported per module
+    const receiving = createRegistry();
+    await receiving.add('label', '1.0.0', taken);
+    const seen = [];
+    [left, right] = duplexPair();
+    server = createPeer(left, { registry: serving });
+    client = createPeer(right, {
+        registry: receiving,
+        approve({ name, version, source }) {
+            seen.push(`${name}@${version}`);
+            return name !== 'count' && source.includes('export default');
+        }
+    });
+    await client.ready;
+    const { encoders, errors } = await client.sync();
+    t.alike(seen.sort(), ['apoint@1.0.0', 'count@1.0.0', 'label@1.0.0']);
+    t.alike(Object.keys(encoders), [], "No module should pass");
+    t.is(errors[count.hash].code, 'ERR_UNTRUSTED_MODULE', "Refused modules should be reported");
+    t.ok(/already registered with a different hash/.test(errors[label.hash].message), "Registry conflicts should be reported for their module");
+    t.ok(/Peer sent encoder "point" as "apoint"/.test(errors[point.hash].message), "Modules sent under another name should be rejected");
+    t.is((await receiving.get('label', '1.0.0')).hash, taken.hash, "Existing records should be kept");
+    await client.close();
+    await server.close();
+
+    // Step 3: Hashes the caller already trusts are loaded without a callback
+    const byHash = createRegistry();
+    const direct = createRegistry();
+    await direct.add('label', '1.0.0', label);
+    [left, right] = duplexPair();
+    server = createPeer(left, { registry: direct });
+    client = createPeer(right, { registry: byHash, trustedHashes: [label.hash] });
+    await client.ready;
+    const synced = await client.sync();
+    t.alike(Object.keys(synced.encoders), [label.hash]);
+    t.is((await byHash.getByHash(label.hash)).name, 'label');
+    await client.close();
+    await server.close();
+});
+
+test("manifests are embedded, hashed and readable without running the module", async t => {
+    const manifest = {
+        version: '1.2.0',
+        description: 'A point on a grid',
+        author: 'Grid Team',
+        created: new Date('2024-05-01T00:00:00Z'),
+        examples: [{ x: 1, y: 2 }, { x: -5, y: 0 }]
+    };
+    const created = await create('point', struct({ x: cenc.int, y: cenc.int }), { offset: 3, scale: x => x }, undefined, {
+        manifest,
+        runtime: { cenc: '^2.0.0' }
+    });
+
+    // Step 1: Read it back without evaluating the module
+    const read = await readManifest(created.uri);
+    t.is(read.name, 'point');
+    t.is(read.hash, created.hash);
+    t.is(read.version, '1.2.0');
+    t.is(read.created, '2024-05-01T00:00:00.000Z', "Dates should be stored as ISO strings");
+    t.alike(read.examples, manifest.examples);
+    t.alike(read.dependencies, [{ name: 'offset', kind: 'value' }, { name: 'scale', kind: 'function' }], "Dependency kinds should be declared");
+    t.alike(read.runtime, { cenc: { apis: ['int'], version: '^2.0.0' } }, "The required runtime should be declared");
+    t.alike(inspect(created.uri).manifest.examples, manifest.examples, "inspect should report the manifest");
+
+    // Step 2: The manifest is part of the hash
+    const edited = await create('point', struct({ x: cenc.int, y: cenc.int }), { offset: 3, scale: x => x }, undefined, {
+        manifest: { ...manifest, author: 'Someone Else' },
+        runtime: { cenc: '^2.0.0' }
+    });
+    t.not(edited.hash, created.hash, "Changing the manifest should change the hash");
+
+    // Step 3: Examples are checked by verify, and modules without a manifest have none
+    const encoder = await load(created.uri, created.hash, { scale: x => x });
+    t.is(verify(encoder).runs, 2, "Manifest examples should be verified");
+    t.is(await readManifest((await create('bare', struct({ n: cenc.uint }))).uri), null);
+
+
+    // Step 4: The hash is recomputed, so edited manifests and unexpected hashes are rejected
+    const source = (await create('point', struct({ x: cenc.int, y: cenc.int }), {}, undefined, { manifest, format: 'source' })).source;
+    const forged = source.replace('Grid Team', 'Someone Else');
+    await t.exception(readManifest(forged), HashMismatchError, "Edited manifests should not be read");
+    await t.exception(readManifest(forged), /does not match the hash it embeds/);
+    await t.exception(readManifest(created.uri, { hash: edited.hash }), /hash mismatch/, "The expected hash should be checked");
+    t.is((await readManifest(created.uri, { hash: created.hash })).hash, created.hash);
+
+    await t.exception(create('bad', struct({ n: cenc.uint }), {}, undefined, { manifest: { examples: [b4a.from('x')] } }), /must be JSON data/);
+});
+
+test("load cache returns verified encoders without loading them again", async t => {
+    const cache = createLoadCache({ max: 2 });
+    const offset = { value: 1 };
+    const point = await create('point', struct({ x: cenc.int, y: cenc.int }));
+    const shifted = await create('shifted', {
+        preencode(state, n) { cenc.uint.preencode(state, n + offset.value); },
+        encode(state, n) { cenc.uint.encode(state, n + offset.value); },
+        decode(state) { return cenc.uint.decode(state) - offset.value; }
+    }, { offset });
+
+    // Step 1: Repeated loads with the same dependencies share one encoder
+    const first = await load(point.uri, point.hash, {}, {}, { cache });
+    t.is(await load(point.uri, point.hash, {}, {}, { cache }), first, "A cache hit should return the same encoder");
+    t.is(cache.stats.hits, 1);
+    t.not(await load(point.uri, point.hash), first, "Loads without the cache should not be affected");
+
+    // Step 2: Dependencies are matched by identity, and options that gate loading are part of the key
+    const withOffset = await load(shifted.uri, shifted.hash, { offset }, {}, { cache });
+    t.is(await load(shifted.uri, shifted.hash, { offset }, {}, { cache }), withOffset);
+    t.not(await load(shifted.uri, shifted.hash, { offset: { value: 1 } }, {}, { cache }), withOffset, "Other dependency objects should miss");
+    t.not(await load(point.uri, point.hash, {}, {}, { cache, sandbox: true }), first, "Options that change loading should miss");
+
+    // Step 3: The least recently used entry is evicted past the size limit
+    t.is(cache.size, 2);
+    t.ok(cache.stats.evictions > 0);
+    const again = await load(point.uri, point.hash, {}, {}, { cache });
+    t.not(again, first, "An evicted encoder should be loaded again");
+
+    // Step 4: Entries can be invalidated, and failed loads are not cached
+    cache.invalidate(point.hash);
+    t.not(await load(point.uri, point.hash, {}, {}, { cache }), again);
+    cache.clear();
+    t.is(cache.size, 0);
+    await t.exception(load(point.uri, '0'.repeat(64), {}, {}, { cache }), /hash mismatch/);
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(cache.size, 0, "Failed loads should be dropped");
+
+    // Step 5: Replaced leaves are part of the key, by the identity of their local functions
+    const text = await create('text', {
+        preencode(state, value) { cenc.string.preencode(state, value); },
+        encode(state, value) { cenc.string.encode(state, value); },
+        decode(state) { return cenc.string.decode(state); }
+    });
+    const treeOptions = { cache: createLoadCache(), hashTree: text.tree };
+    const decodeA = state => `A:${cenc.string.decode(state)}`;
+    const decodeB = state => `B:${cenc.string.decode(state)}`;
+    const encodeC = (state, value) => cenc.string.encode(state, value.toUpperCase());
+    const a = await load(text.uri, text.tree.root, {}, {}, { ...treeOptions, replaceable: { decode: decodeA } });
+    const b = await load(text.uri, text.tree.root, {}, {}, { ...treeOptions, replaceable: { decode: decodeB } });
+    const c = await load(text.uri, text.tree.root, {}, {}, { ...treeOptions, replaceable: { encode: encodeC } });
+    t.is(cenc.decode(a, cenc.encode(a, 'x')), 'A:x');
+    t.is(cenc.decode(b, cenc.encode(b, 'x')), 'B:x', "Other replacements should miss");
+    t.is(cenc.decode(c, cenc.encode(c, 'x')), 'X', "Other replaced leaves should miss");
+    t.is(await load(text.uri, text.tree.root, {}, {}, { ...treeOptions, replaceable: { decode: decodeA } }), a, "The same replacements should hit");
+});
+
+test("create and load failures throw typed errors with stable codes", async t => {
+    const shifted = await create('shifted', {
+        preencode(state, n) { cenc.uint.preencode(state, shift(n)); },
+        encode(state, n) { cenc.uint.encode(state, shift(n)); },
+        decode(state) { return cenc.uint.decode(state) - 1; }
+    }, { shift: n => n + 1 }, undefined, { format: 'source' });
+
+    // Step 1: Hash mismatches carry both hashes, and the differing functions when checked against a tree
+    const tampered = shifted.source.replace('cenc.uint.decode($0) - 1', 'cenc.uint.decode($0) - 2');
+    const mismatch = await load(tampered, shifted.hash, { shift: n => n + 1 }).catch(error => error);
+    t.ok(mismatch instanceof HashMismatchError);
+    t.ok(mismatch instanceof DynamicEncoderError);
+    t.is(mismatch.code, 'ERR_HASH_MISMATCH');
+    t.is(mismatch.expected, shifted.hash);
+    t.is(typeof mismatch.computed, 'string');
+    t.not(mismatch.computed, shifted.hash);
+
+    const leaves = await load(tampered, shifted.tree.root, { shift: n => n + 1 }, {}, { hashTree: shifted.tree }).catch(error => error);
+    t.is(leaves.code, 'ERR_HASH_MISMATCH');
+    t.alike(leaves.functions, ['decode'], "The differing functions should be named");
+    const dependency = await load(shifted.source, shifted.tree.root, { shift: n => n + 2 }, {}, { hashTree: shifted.tree }).catch(error => error);
+    t.alike(dependency.functions, ['dep:shift']);
+
+    // Step 2: Syntax errors in a module point at their line and column, whether imported or sandboxed
+    const broken = shifted.source.replace('cenc.uint.decode($0) - 1', 'cenc.uint.decode($0) -');
+    const { computed } = await load(broken, shifted.hash, { shift: n => n + 1 }).catch(error => error);
+    for (const sandbox of [false, true]) {
+        const syntax = await load(broken, computed, { shift: n => n + 1 }, {}, { sandbox }).catch(error => error);
+        t.ok(syntax instanceof ModuleSyntaxError);
+        t.is(syntax.code, 'ERR_MODULE_SYNTAX');
+        t.is(syntax.line, broken.slice(0, broken.indexOf('decode($0) -')).split('\n').length, "The line should be reported");
+        t.ok(syntax.column > 0);
+    }
+
+    // Step 3: Dependencies have to cover the module's parameters
+    const missing = await load(shifted.source, shifted.hash, {}).catch(error => error);
+    t.ok(missing instanceof MissingDependencyError);
+    t.is(missing.code, 'ERR_MISSING_DEPENDENCY');
+    t.alike(missing.missing, ['shift']);
+    t.alike(missing.parameters, ['shift']);
+
+    const unknown = await load(shifted.source, shifted.hash, { shift: n => n + 1 }, { extra: 1 }).catch(error => error);
+    t.ok(unknown instanceof UnknownDependencyError);
+    t.ok(unknown instanceof MissingDependencyError, "Dependencies that don't match the parameters are missing dependencies");
+    t.is(unknown.code, 'ERR_UNKNOWN_DEPENDENCY', "Extra dependencies should be reported");
+    t.alike(unknown.unknown, ['extra']);
+    const misspelled = await load(shifted.source, shifted.hash, { shfit: n => n + 1 }).catch(error => error);
+    t.is(misspelled.code, 'ERR_UNKNOWN_DEPENDENCY');
+    t.ok(/Unknown dependency "shfit": the module expects shift/.test(misspelled.message), "Misspelled dependencies should be named");
+    const embedded = await create('offset', struct({ n: cenc.uint }), { offset: 3 });
+    t.ok(await load(embedded.uri, embedded.hash, { offset: 3 }), "Embedded values may be passed to load");
+    t.ok(await load(shifted.source, shifted.hash, { shift: n => n + 1, extra: 1 }, undefined, { sharedDependencies: true }), "Shared dependencies may hold other keys");
+
+    // Step 4: Unreadable transports, bundle versions and formats are unsupported encodings
+    const unsupported = [
+        await load('data:text/plain,hello', shifted.hash).catch(error => error),
+        await load(b4a.from([2, 0]), shifted.hash).catch(error => error),
+        await load(b4a.from([1, 200]), shifted.hash).catch(error => error),
+        await create('point', struct({ x: cenc.int }), {}, undefined, { format: 'yaml' }).catch(error => error)
+    ];
+    for (const error of unsupported) {
+        t.ok(error instanceof EncodingUnsupportedError, error.message);
+        t.is(error.code, 'ERR_ENCODING_UNSUPPORTED');
+    }
+
+    // Step 5: Signature failures are untrusted modules
+    const publisher = await generateKeyPair();
+    const stranger = await generateKeyPair();
+    const signed = await create('signed', struct({ n: cenc.uint }), {}, undefined, { sign: publisher });
+    const failures = [
+        [{ trustedKeys: [publisher.publicKey] }, /module is unsigned/],
+        [{ trustedKeys: [publisher.publicKey], signature: signed.signature, publicKey: stranger.publicKey }, /publisher key is not trusted/],
+        [{ trustedKeys: [publisher.publicKey], signature: '00'.repeat(64), publicKey: publisher.publicKey }, /signature does not match/]
+    ];
+    for (const [options, message] of failures) {
+        const error = await load(signed.uri, signed.hash, {}, undefined, options).catch(error => error);
+        t.ok(error instanceof UntrustedModuleError, error.message);
+        t.is(error.code, 'ERR_UNTRUSTED_MODULE');
+        t.is(error.hash, signed.hash);
+        t.ok(message.test(error.message));
+    }
+
+    // Step 6: Names are embedded as string literals, whatever they contain
+    const quoted = await create('say "hi"\n', struct({ n: cenc.uint }));
+    t.is((await load(quoted.uri, quoted.hash)).name, 'say "hi"\n');
+
+    // Step 7: Invalid dependency names, policies, runtimes and options have their own errors
+    const invalid = await create('bad', struct({ n: cenc.uint }), { 'not-a-name': () => 1 }).catch(error => error);
+    t.ok(invalid instanceof InvalidDependencyError && invalid instanceof MissingDependencyError);
+    t.is(invalid.code, 'ERR_INVALID_DEPENDENCY');
+    t.is(invalid.dependency, 'not-a-name');
+
+    const withBuffer = await create('buffer', { encode() { return Buffer.alloc(1); }, decode() {}, preencode() {} });
+    const denied = await load(withBuffer.uri, withBuffer.hash, {}, undefined, { policy: 'deny' }).catch(error => error);
+    t.ok(denied instanceof PolicyViolationError);
+    t.is(denied.code, 'ERR_POLICY_VIOLATION');
+    t.is(denied.report.findings[0].type, 'buffer', "The report should be attached");
+
+    const plain = await create('plain', struct({ n: cenc.uint }), {}, undefined, { runtime: { cenc: '^2.0.0' } });
+    const options = [
+        [{ policy: 'strict' }, 'policy'],
+        [{ sandbox: true, runtime: { cenc } }, 'runtime']
+    ];
+    for (const [loadOptions, option] of options) {
+        const error = await load(plain.uri, plain.hash, {}, undefined, loadOptions).catch(error => error);
+        t.ok(error instanceof InvalidOptionError, error.message);
+        t.is(error.code, 'ERR_INVALID_OPTION');
+        t.is(error.option, option);
+    }
+    const range = await create('range', struct({ n: cenc.uint }), {}, undefined, { runtime: { cenc: '>=' } }).catch(error => error);
+    t.is(range.code, 'ERR_INVALID_OPTION');
+
+    const mismatches = [
+        [{ cenc: { ...cenc, uint: undefined } }, /missing uint/],
+        [{ cenc: { ...cenc } }, /declares no cenc version/],
+        [{ cenc: { ...cenc }, versions: { cenc: '1.0.0' } }, /outside \^2\.0\.0/],
+        [{ cenc: { ...cenc }, versions: { cenc: 'two' } }, /Invalid version "two" for cenc/]
+    ];
+    for (const [runtime, message] of mismatches) {
+        const error = await load(plain.uri, plain.hash, {}, undefined, { runtime }).catch(error => error);
+        t.ok(error instanceof RuntimeMismatchError, error.message);
+        t.is(error.code, 'ERR_RUNTIME_MISMATCH');
+        t.is(error.runtime, 'cenc');
+        t.ok(message.test(error.message));
+    }
+
+    // Strings are module source, so one that isn't the module is a hash mismatch rather than a missing file
+    const source = await load('deadbeef', plain.hash).catch(error => error);
+    t.is(source.code, 'ERR_HASH_MISMATCH');
+});